@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+// Manage the plan without a browser, e.g. over SSH or from a git hook:
+//
+//   node cli.js validate [path/to/plan.json]
+//   node cli.js project [--as-of YYYY-MM-DD] [--rate 0.05] [--buffer-rate 0.02] [--json]
+//     (--rate and --buffer-rate also apply to each scenario that does not set that rate)
+//   node cli.js rollover [--dry-run]
+//   node cli.js set-balance <account>=<amount>... [--note "text"]
+//
+// Exit codes: 0 on success, 1 when the plan is invalid or a write fails, 2 on bad usage.
+const fs = require("fs");
+const { parseArgs } = require("util");
+const {
+  applyScenarioRates,
+  getCurrentYearMonth,
+  projectBufferDate,
+  projectGoalDate,
+  reconcileGoalState,
+  resolveAccounts,
+  resolveReturnAssumptions,
+  rollGoalStateForward,
+  validatePlan,
+} = require("./public/app-core.js");
+const {
+  appendJournalEntries,
+  appendRolloverEntries,
+  applyBalanceSave,
+  planPath,
+  readCurrentState,
+  readPlan,
+  readState,
+  writeBalanceSave,
+  writeState,
+} = require("./store.js");
+
+class UsageError extends Error {}
+
+const SEK = (n) => n.toLocaleString("sv-SE", { maximumFractionDigits: 0 });
+
+const formatDay = (date) =>
+  `${getCurrentYearMonth(date)}-${String(date.getDate()).padStart(2, "0")}`;
+
+const formatDate = (projection) =>
+  projection.reached && projection.date ? formatDay(projection.date) : "not reached";
+
+const formatRate = (rate) => `${Number((rate * 100).toFixed(2))}%`;
+
+const readRate = (value, flag) => {
+  if (value === undefined) return undefined;
+  const rate = Number(value);
+  if (value === "" || !Number.isFinite(rate) || rate <= -1) {
+    throw new UsageError(`${flag} must be an annual rate above -1, such as 0.05`);
+  }
+  return rate;
+};
+
+const readAsOf = (value) => {
+  if (value === undefined) return new Date();
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+  const [year, month, day] = match ? [match[1], match[2], match[3] || 1].map(Number) : [];
+  const date = match ? new Date(year, month - 1, day) : null;
+  if (!date || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new UsageError("--as-of must be YYYY-MM-DD or YYYY-MM");
+  }
+  return date;
+};
+
+// Every command but `validate` needs a plan the dashboard would accept.
+const readValidPlan = () => {
+  const plan = readPlan();
+  if (!plan) throw new Error(`Could not read ${planPath}`);
+  const issues = validatePlan(plan);
+  if (issues.length > 0) {
+    throw new Error(`plan.json is invalid:\n${issues.map((issue) => `  ${issue}`).join("\n")}`);
+  }
+  return plan;
+};
+
+const validate = ({ positionals }) => {
+  const file = positionals[0] || planPath;
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`${file}: ${err.message}`);
+    return 1;
+  }
+
+  const issues = validatePlan(plan);
+  if (issues.length > 0) {
+    issues.forEach((issue) => console.error(`${file}: ${issue}`));
+    return 1;
+  }
+  const stages = Array.isArray(plan.stages) ? plan.stages.length : 0;
+  console.log(`${file} is valid (${stages} stages, ${resolveAccounts(plan).length} accounts).`);
+  return 0;
+};
+
+const project = ({ values }) => {
+  const now = readAsOf(values["as-of"]);
+  const rates = {};
+  const longterm = readRate(values.rate, "--rate");
+  const buffer = readRate(values["buffer-rate"], "--buffer-rate");
+  if (longterm !== undefined) rates.longterm = longterm;
+  if (buffer !== undefined) rates.buffer = buffer;
+
+  const plan = readValidPlan();
+  const state = readCurrentState(plan, now);
+  if (!state) throw new Error(`The balance history does not reach back to ${formatDay(now)}.`);
+  const stages = plan.stages;
+  const goal = plan.goal || {};
+  const events = Array.isArray(plan.events) ? plan.events : [];
+  const accounts = applyScenarioRates(resolveAccounts(plan), rates);
+  const scenarios = [{ label: "Plan" }, ...resolveReturnAssumptions(plan, rates).scenarios];
+
+  const rows = scenarios.map((scenario) => {
+    const rated = applyScenarioRates(accounts, scenario);
+    const bufferAccount = rated.find((account) => account.id === "buffer");
+    return {
+      label: scenario.label,
+      longterm: rated.find((account) => account.id === "longterm")?.annualRate ?? null,
+      goal: projectGoalDate({
+        stages,
+        goal,
+        accounts: rated,
+        balances: state.balances,
+        events,
+        now,
+      }),
+      buffer: projectBufferDate({
+        stages,
+        goal,
+        currentBuffer: state.balances.buffer ?? 0,
+        bufferRate: bufferAccount?.annualRate,
+        events,
+        now,
+      }),
+    };
+  });
+
+  if (values.json) {
+    const toJson = (projection) => (projection.reached ? formatDay(projection.date) : null);
+    console.log(
+      JSON.stringify(
+        {
+          as_of: formatDay(now),
+          balances: state.balances,
+          scenarios: rows.map((row) => ({
+            label: row.label,
+            longterm_rate: row.longterm,
+            goal: toJson(row.goal),
+            buffer: toJson(row.buffer),
+          })),
+        },
+        null,
+        2
+      )
+    );
+    return 0;
+  }
+
+  console.log(
+    `As of ${formatDay(now)}: ${accounts
+      .map((account) => `${account.name} ${SEK(state.balances[account.id] ?? 0)}`)
+      .join(", ")}`
+  );
+  const table = [
+    ["Scenario", "Long-term", "Goal", "Buffer"],
+    ...rows.map((row) => [
+      row.label,
+      row.longterm === null ? "" : formatRate(row.longterm),
+      formatDate(row.goal),
+      formatDate(row.buffer),
+    ]),
+  ];
+  const widths = table[0].map((_, column) => Math.max(...table.map((row) => row[column].length)));
+  table.forEach((row) => {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd());
+  });
+  return 0;
+};
+
+// Does what the dashboard does on load: reseed from plan.json if it changed, credit every
+// month that has closed, save state.json and journal the months.
+const rollover = ({ values }) => {
+  const plan = readValidPlan();
+  const now = new Date();
+  const accounts = resolveAccounts(plan);
+  const reconciled = reconcileGoalState(accounts, readState(), now, { stages: plan.stages });
+  const result = rollGoalStateForward(reconciled, plan.stages, now, {
+    accounts,
+    events: Array.isArray(plan.events) ? plan.events : [],
+  });
+
+  if (reconciled.shouldPersist) console.log("Reseeded the balances from plan.json.");
+  result.months.forEach((month) => {
+    const credited = accounts
+      .map((account) => {
+        const amount = month.credited[account.id] ?? 0;
+        const growth = month.growth[account.id] ?? 0;
+        return `${account.name} +${SEK(amount)} (${growth < 0 ? "" : "+"}${SEK(growth)} growth)`;
+      })
+      .join(", ");
+    console.log(`${month.month}  ${month.stage || "No stage"}: ${credited}`);
+  });
+  if (!reconciled.shouldPersist && result.months.length === 0) {
+    console.log(
+      `Nothing to roll over; the last applied month is ${result.state.lastMonthlySavingsAddedYm}.`
+    );
+    return 0;
+  }
+  if (values["dry-run"]) {
+    console.log("Dry run: state.json was not changed.");
+    return 0;
+  }
+
+  writeState(
+    {
+      balances: result.state.balances,
+      last_monthly_savings_added_ym: result.state.lastMonthlySavingsAddedYm,
+      plan_seeds: result.state.planSeeds,
+      updated_at: new Date().toISOString(),
+    },
+    { source: "cli rollover" }
+  );
+  appendRolloverEntries(
+    result.months.map((month) => ({
+      type: "rollover",
+      month: month.month,
+      stage: month.stage,
+      credited: month.credited,
+      growth: month.growth,
+      balances: month.balances,
+    }))
+  );
+  console.log(`Saved state.json through ${result.state.lastMonthlySavingsAddedYm}.`);
+  return 0;
+};
+
+// `longterm=61000 buffer=8000`, like the dashboard's "Save balances": the plan gets
+// the new balances and each change from the live balance is journaled as an adjustment.
+const setBalance = ({ positionals, values }) => {
+  if (positionals.length === 0) {
+    throw new UsageError("set-balance needs at least one <account>=<amount>");
+  }
+  const balances = {};
+  positionals.forEach((pair) => {
+    const [id, raw = ""] = pair.split("=");
+    const amount = Number(raw.replace(/[\s_]/g, ""));
+    if (!id || raw.trim() === "" || !Number.isFinite(amount)) {
+      throw new UsageError(`Expected <account>=<amount>, got "${pair}"`);
+    }
+    balances[id] = amount;
+  });
+
+  const plan = readValidPlan();
+  const now = new Date();
+  const state = readCurrentState(plan, now);
+  if (!state) throw new Error(`The balance history does not reach back to ${formatDay(now)}.`);
+  const result = applyBalanceSave(plan, {
+    balances,
+    note: values.note,
+    previous_balances: state.balances,
+  });
+  if (result.error) throw new Error(result.error);
+
+  writeBalanceSave(result.plan, "cli set-balance");
+  appendJournalEntries(result.adjustments);
+  if (result.adjustments.length === 0) {
+    console.log("The balances already match; plan.json was saved unchanged.");
+  }
+  result.adjustments.forEach((entry) => {
+    const sign = entry.amount < 0 ? "-" : "+";
+    console.log(
+      `${entry.account}: ${SEK(entry.balance_before)} -> ${SEK(entry.balance_after)} ` +
+        `(${sign}${SEK(Math.abs(entry.amount))})`
+    );
+  });
+  return 0;
+};
+
+const COMMANDS = {
+  validate: { run: validate, options: {} },
+  project: {
+    run: project,
+    options: {
+      "as-of": { type: "string" },
+      rate: { type: "string" },
+      "buffer-rate": { type: "string" },
+      json: { type: "boolean" },
+    },
+  },
+  rollover: { run: rollover, options: { "dry-run": { type: "boolean" } } },
+  "set-balance": { run: setBalance, options: { note: { type: "string" } } },
+};
+
+const main = (argv) => {
+  const [name, ...args] = argv;
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Usage: node cli.js <${Object.keys(COMMANDS).join("|")}> [options]`);
+    return 2;
+  }
+
+  try {
+    const parsed = parseArgs({ args, options: command.options, allowPositionals: true });
+    return command.run(parsed);
+  } catch (err) {
+    console.error(err.message);
+    return err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS") ? 2 : 1;
+  }
+};
+
+process.exitCode = main(process.argv.slice(2));
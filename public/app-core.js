@@ -9,6 +9,32 @@
 })(typeof globalThis !== "undefined" ? globalThis : this, function () {
   const safeNumber = (value) => (typeof value === "number" ? value : null);
 
+  const DEFAULT_RETURNS = {
+    longterm: 0.08,
+    buffer: 0,
+    scenarios: [
+      { label: "Low", longterm: 0.04 },
+      { label: "Base", longterm: 0.08 },
+      { label: "High", longterm: 0.12 },
+    ],
+  };
+
+  const LEGACY_ACCOUNTS = [
+    { id: "longterm", name: "Long-term" },
+    { id: "buffer", name: "Buffer" },
+  ];
+
+  const ACCOUNT_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+  const STAGE_GROWTH_FIELDS = ["income", "net_income", "fixed_costs", "household", "savings"];
+
+  // "ignore" is for transfers between your own accounts.
+  const TRANSACTION_CATEGORIES = ["income", "fixed_costs", "household", "savings", "ignore"];
+
+  const hasOwn = (obj, key) => Boolean(obj) && Object.prototype.hasOwnProperty.call(obj, key);
+
+  const toMonthlyRate = (annualRate) => Math.pow(1 + annualRate, 1 / 12) - 1;
+
   const getCurrentYearMonth = (date = new Date()) => {
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, "0");
@@ -24,6 +50,41 @@
     return next;
   };
 
+  const getNextYearMonth = (ym) =>
+    getCurrentYearMonth(addMonths(new Date(`${ym}-01T00:00:00`), 1));
+
+  const monthsBetween = (from, to) =>
+    (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+
+  const getInflationFactor = (date, { inflationRate = 0, baseDate = new Date() } = {}) => {
+    if (typeof inflationRate !== "number" || inflationRate === 0) return 1;
+    return Math.pow(1 + inflationRate, monthsBetween(baseDate, date) / 12);
+  };
+
+  // Converts a nominal amount paid or held at `date` into kronor of `baseDate`.
+  const deflateAmount = (amount, date, options = {}) => {
+    if (typeof amount !== "number") return amount;
+    return amount / getInflationFactor(date, options);
+  };
+
+  // Goal targets are nominal amounts due when target_year has fully ended.
+  const getGoalTargetDate = (goal) => {
+    const targetYear = safeNumber(goal?.target_year);
+    if (typeof targetYear !== "number") return null;
+    return new Date(targetYear + 1, 0, 1, 0, 0, 0, 0);
+  };
+
+  // In real terms a target is compared against balances deflated to the same base,
+  // which is the same as scaling the nominal target by inflation between dates.
+  const createTargetScaler = (goal, inflationRate, now) => {
+    const targetDate = getGoalTargetDate(goal);
+    if (!targetDate || typeof inflationRate !== "number" || inflationRate === 0) {
+      return () => 1;
+    }
+    const targetFactor = getInflationFactor(targetDate, { inflationRate, baseDate: now });
+    return (date) => getInflationFactor(date, { inflationRate, baseDate: now }) / targetFactor;
+  };
+
   const isValidYearMonth = (value) => {
     if (typeof value !== "string") return false;
     const match = value.match(/^(\d{4})-(\d{2})$/);
@@ -32,6 +93,97 @@
     return month >= 1 && month <= 12;
   };
 
+  const isValidRate = (value) => typeof value === "number" && value > -1 && value <= 1;
+
+  const STAGE_AMOUNT_FIELDS = ["income", "net_income", "fixed_costs", "household"];
+
+  // Field-level checks for one stage. Messages read as "Stage N <message>" in validatePlan.
+  const validateStage = (stage, { isKnownAccountId = () => true } = {}) => {
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    if (!stage || typeof stage !== "object" || Array.isArray(stage)) {
+      add("name", "is missing a name.");
+      add("from", "must include a valid from (YYYY-MM).");
+      return errors;
+    }
+
+    if (typeof stage.name !== "string" || stage.name.trim() === "") {
+      add("name", "is missing a name.");
+    }
+
+    if (!isValidYearMonth(stage.from)) {
+      add("from", "must include a valid from (YYYY-MM).");
+    }
+
+    if (stage.to && !isValidYearMonth(stage.to)) {
+      add("to", "has an invalid to (YYYY-MM).");
+    }
+
+    if (isValidYearMonth(stage.from) && isValidYearMonth(stage.to) && stage.to < stage.from) {
+      add("to", "has to earlier than from.");
+    }
+
+    if (
+      stage.contribution_day !== undefined &&
+      !(
+        Number.isInteger(stage.contribution_day) &&
+        stage.contribution_day >= 1 &&
+        stage.contribution_day <= 31
+      )
+    ) {
+      add("contribution_day", "contribution_day must be a day of the month from 1 to 31.");
+    }
+
+    Object.keys(stage).forEach((key) => {
+      if (
+        (STAGE_AMOUNT_FIELDS.includes(key) || key.startsWith("saving_")) &&
+        stage[key] !== undefined &&
+        typeof stage[key] !== "number"
+      ) {
+        add(key, `${key} must be a number.`);
+      }
+    });
+
+    if (stage.savings !== undefined) {
+      if (!stage.savings || typeof stage.savings !== "object" || Array.isArray(stage.savings)) {
+        add("savings", "savings must be an object keyed by account id.");
+      } else {
+        Object.entries(stage.savings).forEach(([id, amount]) => {
+          if (typeof amount !== "number") {
+            add(`savings.${id}`, `saving for ${id} must be a number.`);
+          }
+          if (!isKnownAccountId(id)) {
+            add(`savings.${id}`, `saves into unknown account "${id}".`);
+          }
+        });
+      }
+    }
+
+    if (stage.growth !== undefined) {
+      if (!stage.growth || typeof stage.growth !== "object" || Array.isArray(stage.growth)) {
+        add("growth", "growth must be an object keyed by field.");
+      } else {
+        Object.entries(stage.growth).forEach(([field, rule]) => {
+          if (!STAGE_GROWTH_FIELDS.includes(field)) {
+            add(`growth.${field}`, `growth has an unknown field "${field}".`);
+            return;
+          }
+
+          const { rate, month } = readGrowthRule(rule);
+          if (!isValidRate(rate)) {
+            add(`growth.${field}`, `growth for ${field} must have a rate from -1 to 1.`);
+          }
+          if (!Number.isInteger(month) || month < 1 || month > 12) {
+            add(`growth.${field}`, `growth for ${field} must use a month from 1 to 12.`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  };
+
   const validatePlan = (plan) => {
     const issues = [];
 
@@ -40,32 +192,248 @@
       return issues;
     }
 
-    plan.stages.forEach((stage, index) => {
-      if (!stage || typeof stage.name !== "string" || stage.name.trim() === "") {
-        issues.push(`Stage ${index + 1} is missing a name.`);
+    const returns = plan.assumptions?.returns;
+    if (returns !== undefined) {
+      if (!returns || typeof returns !== "object") {
+        issues.push("assumptions.returns must be an object.");
+      } else {
+        ["longterm", "buffer"].forEach((key) => {
+          if (returns[key] !== undefined && !isValidRate(returns[key])) {
+            issues.push(`assumptions.returns.${key} must be an annual rate from -1 to 1.`);
+          }
+        });
+
+        if (returns.scenarios !== undefined) {
+          if (!Array.isArray(returns.scenarios) || returns.scenarios.length === 0) {
+            issues.push("assumptions.returns.scenarios must be a non-empty array.");
+          } else {
+            returns.scenarios.forEach((scenario, index) => {
+              if (!scenario || typeof scenario.label !== "string" || scenario.label.trim() === "") {
+                issues.push(`Return scenario ${index + 1} is missing a label.`);
+              }
+
+              if (!isValidRate(scenario?.longterm)) {
+                issues.push(
+                  `Return scenario ${index + 1} must include a longterm rate from -1 to 1.`
+                );
+              }
+
+              if (scenario?.buffer !== undefined && !isValidRate(scenario.buffer)) {
+                issues.push(`Return scenario ${index + 1} has an invalid buffer rate.`);
+              }
+            });
+          }
+        }
       }
+    }
 
-      if (!isValidYearMonth(stage?.from)) {
-        issues.push(`Stage ${index + 1} must include a valid from (YYYY-MM).`);
+    const inflation = plan.assumptions?.inflation;
+    if (
+      inflation !== undefined &&
+      (typeof inflation !== "number" || inflation <= -1 || inflation > 1)
+    ) {
+      issues.push("assumptions.inflation must be a number from -1 to 1 (for example 0.02).");
+    }
+
+    const tax = plan.assumptions?.tax;
+    if (tax !== undefined) {
+      if (!tax || typeof tax !== "object") {
+        issues.push("assumptions.tax must be an object.");
+      } else if (
+        tax.municipal_rate !== undefined &&
+        (typeof tax.municipal_rate !== "number" ||
+          tax.municipal_rate <= 0 ||
+          tax.municipal_rate >= 1)
+      ) {
+        issues.push("assumptions.tax.municipal_rate must be a number from 0 to 1 (e.g. 0.3241).");
       }
+    }
+
+    const monteCarlo = plan.assumptions?.monte_carlo;
+    if (monteCarlo !== undefined) {
+      if (!monteCarlo || typeof monteCarlo !== "object") {
+        issues.push("assumptions.monte_carlo must be an object.");
+      } else {
+        if (
+          monteCarlo.expected_return !== undefined &&
+          (typeof monteCarlo.expected_return !== "number" || monteCarlo.expected_return <= -1)
+        ) {
+          issues.push("assumptions.monte_carlo.expected_return must be a number above -1.");
+        }
+
+        if (
+          monteCarlo.volatility !== undefined &&
+          (typeof monteCarlo.volatility !== "number" || monteCarlo.volatility < 0)
+        ) {
+          issues.push("assumptions.monte_carlo.volatility must be a non-negative number.");
+        }
+
+        if (
+          monteCarlo.runs !== undefined &&
+          (!Number.isInteger(monteCarlo.runs) || monteCarlo.runs < 1 || monteCarlo.runs > 20000)
+        ) {
+          issues.push("assumptions.monte_carlo.runs must be a whole number from 1 to 20000.");
+        }
 
-      if (stage?.to && !isValidYearMonth(stage.to)) {
-        issues.push(`Stage ${index + 1} has an invalid to (YYYY-MM).`);
+        if (monteCarlo.seed !== undefined && !Number.isInteger(monteCarlo.seed)) {
+          issues.push("assumptions.monte_carlo.seed must be a whole number.");
+        }
       }
+    }
+
+    const accountIds = new Set();
+    if (plan.accounts !== undefined) {
+      if (!Array.isArray(plan.accounts)) {
+        issues.push("accounts must be an array.");
+      } else {
+        plan.accounts.forEach((account, index) => {
+          const label = `Account ${index + 1}`;
+          if (!account || typeof account.id !== "string" || !ACCOUNT_ID_PATTERN.test(account.id)) {
+            issues.push(`${label} needs an id of lowercase letters, digits or underscores.`);
+            return;
+          }
+
+          if (accountIds.has(account.id)) {
+            issues.push(`${label} reuses the id "${account.id}".`);
+          }
+          accountIds.add(account.id);
+
+          if (typeof account.name !== "string" || account.name.trim() === "") {
+            issues.push(`${label} is missing a name.`);
+          }
+
+          if (typeof account.current !== "number") {
+            issues.push(`${label} must include a numeric current balance.`);
+          }
 
-      if (isValidYearMonth(stage?.from) && isValidYearMonth(stage?.to) && stage.to < stage.from) {
-        issues.push(`Stage ${index + 1} has to earlier than from.`);
+          if (
+            account.target !== undefined &&
+            (typeof account.target !== "number" || account.target < 0)
+          ) {
+            issues.push(`${label} has an invalid target.`);
+          }
+
+          if (account.annual_rate !== undefined && !isValidRate(account.annual_rate)) {
+            issues.push(`${label} must have an annual_rate from -1 to 1.`);
+          }
+
+          if (
+            account.volatility !== undefined &&
+            (typeof account.volatility !== "number" || account.volatility < 0)
+          ) {
+            issues.push(`${label} must have a non-negative volatility.`);
+          }
+
+          if (
+            account.include_in_goal !== undefined &&
+            typeof account.include_in_goal !== "boolean"
+          ) {
+            issues.push(`${label} include_in_goal must be true or false.`);
+          }
+        });
       }
+    }
+
+    const isKnownAccountId = (id) =>
+      accountIds.has(id) || LEGACY_ACCOUNTS.some((legacy) => legacy.id === id);
+
+    plan.stages.forEach((stage, index) => {
+      validateStage(stage, { isKnownAccountId }).forEach(({ message }) => {
+        issues.push(`Stage ${index + 1} ${message}`);
+      });
     });
 
+    const retirement = plan.retirement;
+    if (retirement !== undefined) {
+      if (!retirement || typeof retirement !== "object" || Array.isArray(retirement)) {
+        issues.push("retirement must be an object.");
+      } else {
+        if (!isValidYearMonth(retirement.from)) {
+          issues.push("retirement must include a valid from (YYYY-MM).");
+        }
+
+        const hasRate = retirement.withdrawal_rate !== undefined;
+        const hasDraw = retirement.monthly_draw !== undefined;
+        if (hasRate === hasDraw) {
+          issues.push("retirement needs either withdrawal_rate or monthly_draw.");
+        } else if (
+          hasRate &&
+          (typeof retirement.withdrawal_rate !== "number" ||
+            retirement.withdrawal_rate <= 0 ||
+            retirement.withdrawal_rate > 1)
+        ) {
+          issues.push("retirement.withdrawal_rate must be a number from 0 to 1 (e.g. 0.04).");
+        } else if (
+          hasDraw &&
+          (typeof retirement.monthly_draw !== "number" || retirement.monthly_draw <= 0)
+        ) {
+          issues.push("retirement.monthly_draw must be a positive amount.");
+        }
+
+        if (retirement.annual_return !== undefined && !isValidRate(retirement.annual_return)) {
+          issues.push("retirement.annual_return must be a number from -1 to 1.");
+        }
+
+        if (retirement.account !== undefined && !isKnownAccountId(retirement.account)) {
+          issues.push("retirement.account must name an existing account.");
+        }
+      }
+    }
+
+    if (plan.events !== undefined) {
+      if (!Array.isArray(plan.events)) {
+        issues.push("events must be an array.");
+      } else {
+        plan.events.forEach((event, index) => {
+          const label = `Event ${index + 1}`;
+          if (!isValidYearMonth(event?.month)) {
+            issues.push(`${label} must include a valid month (YYYY-MM).`);
+          }
+
+          if (!isKnownAccountId(event?.account)) {
+            issues.push(`${label} must name an existing account.`);
+          }
+
+          if (typeof event?.amount !== "number" || event.amount === 0) {
+            issues.push(`${label} must have a non-zero amount (negative for withdrawals).`);
+          }
+
+          if (event?.label !== undefined && typeof event.label !== "string") {
+            issues.push(`${label} has an invalid label.`);
+          }
+        });
+      }
+    }
+
+    if (plan.transaction_rules !== undefined) {
+      if (!Array.isArray(plan.transaction_rules)) {
+        issues.push("transaction_rules must be an array.");
+      } else {
+        plan.transaction_rules.forEach((rule, index) => {
+          const label = `Transaction rule ${index + 1}`;
+          let isValidPattern = typeof rule?.match === "string" && rule.match !== "";
+          try {
+            if (isValidPattern) new RegExp(rule.match, "i");
+          } catch {
+            isValidPattern = false;
+          }
+          if (!isValidPattern) {
+            issues.push(`${label} must have a match pattern (a regular expression).`);
+          }
+
+          if (!TRANSACTION_CATEGORIES.includes(rule?.category)) {
+            issues.push(`${label} must use a category of ${TRANSACTION_CATEGORIES.join(", ")}.`);
+          }
+        });
+      }
+    }
+
     if (plan.goal) {
-      const required = [
-        "target_longterm",
-        "target_buffer",
-        "current_longterm",
-        "current_buffer",
-        "target_year",
-      ];
+      // The goal only needs two-pot fields for pots not defined in `accounts`.
+      const required = ["target_year"];
+      LEGACY_ACCOUNTS.forEach(({ id }) => {
+        if (!accountIds.has(id)) required.push(`target_${id}`, `current_${id}`);
+      });
 
       required.forEach((key) => {
         if (!Object.prototype.hasOwnProperty.call(plan.goal, key)) {
@@ -77,7 +445,99 @@
     return issues;
   };
 
-  const findStageForYearMonth = (stages, ym) => {
+  // `overrides` replaces the plan's longterm/buffer rates, so it also reaches every
+  // scenario that does not set that rate itself.
+  const resolveReturnAssumptions = (plan, overrides = {}) => {
+    const returns = plan?.assumptions?.returns || {};
+    const longterm =
+      safeNumber(overrides.longterm) ?? safeNumber(returns.longterm) ?? DEFAULT_RETURNS.longterm;
+    const buffer =
+      safeNumber(overrides.buffer) ?? safeNumber(returns.buffer) ?? DEFAULT_RETURNS.buffer;
+    const scenarios =
+      Array.isArray(returns.scenarios) && returns.scenarios.length > 0
+        ? returns.scenarios
+        : DEFAULT_RETURNS.scenarios;
+
+    return {
+      longterm,
+      buffer,
+      // Besides longterm/buffer, a scenario may set a rate for any named account id.
+      scenarios: scenarios.map((scenario) => {
+        const rates = Object.fromEntries(
+          Object.entries(scenario || {}).filter(([, value]) => typeof value === "number")
+        );
+        return {
+          ...rates,
+          label: scenario?.label || "Scenario",
+          longterm: safeNumber(scenario?.longterm) ?? longterm,
+          buffer: safeNumber(scenario?.buffer) ?? buffer,
+        };
+      }),
+    };
+  };
+
+  const applyScenarioRates = (accounts, scenario) =>
+    accounts.map((account) =>
+      typeof scenario?.[account.id] === "number"
+        ? { ...account, annualRate: scenario[account.id] }
+        : account
+    );
+
+  const readGrowthRule = (rule) =>
+    typeof rule === "number"
+      ? { rate: rule, month: 1 }
+      : { rate: rule?.rate, month: rule?.month ?? 1 };
+
+  // Number of yearly steps for `month` that fall after the stage start, up to and including ym.
+  const countGrowthSteps = (from, ym, month) => {
+    const toIndex = (value) => {
+      const [year, mon] = value.split("-").map(Number);
+      return year * 12 + (mon - 1);
+    };
+    const shift = month - 1;
+    return Math.floor((toIndex(ym) - shift) / 12) - Math.floor((toIndex(from) - shift) / 12);
+  };
+
+  // Stage amounts are given as of `from`; growth rules index them once a year from there.
+  const indexStageForYearMonth = (stage, ym) => {
+    if (!stage?.growth || typeof stage.growth !== "object" || !isValidYearMonth(stage.from)) {
+      return stage;
+    }
+    if (!isValidYearMonth(ym) || ym <= stage.from) return stage;
+
+    const factors = {};
+    STAGE_GROWTH_FIELDS.forEach((field) => {
+      if (!hasOwn(stage.growth, field)) return;
+      const { rate, month } = readGrowthRule(stage.growth[field]);
+      if (typeof rate !== "number" || !Number.isInteger(month) || month < 1 || month > 12) return;
+      factors[field] = Math.pow(1 + rate, Math.max(0, countGrowthSteps(stage.from, ym, month)));
+    });
+
+    const scale = (value, factor) =>
+      typeof value === "number" && typeof factor === "number" ? value * factor : value;
+
+    const indexed = { ...stage };
+    STAGE_GROWTH_FIELDS.forEach((field) => {
+      if (field !== "savings" && hasOwn(stage, field)) {
+        indexed[field] = scale(stage[field], factors[field]);
+      }
+    });
+
+    if (typeof factors.savings === "number") {
+      Object.keys(stage).forEach((key) => {
+        if (key.startsWith("saving_")) indexed[key] = scale(stage[key], factors.savings);
+      });
+      if (stage.savings && typeof stage.savings === "object") {
+        indexed.savings = Object.fromEntries(
+          Object.entries(stage.savings).map(([id, amount]) => [id, scale(amount, factors.savings)])
+        );
+      }
+    }
+
+    return indexed;
+  };
+
+  const matchStageForYearMonth = (stages, ym) => {
     if (!Array.isArray(stages) || stages.length === 0) return null;
 
     const candidates = stages.filter((stage) => {
@@ -101,37 +561,118 @@
     return earliest[0] || null;
   };
 
-  const createSeedState = (planGoal, now) => {
-    const seedLong = safeNumber(planGoal?.current_longterm) ?? 0;
-    const seedBuffer = safeNumber(planGoal?.current_buffer) ?? 0;
+  const findStageForYearMonth = (stages, ym) =>
+    indexStageForYearMonth(matchStageForYearMonth(stages, ym), ym);
+
+  const mapAccounts = (accounts, pick) =>
+    Object.fromEntries(accounts.map((account) => [account.id, pick(account)]));
+
+  const resolveAccounts = (plan) => {
+    const returns = resolveReturnAssumptions(plan);
+    const goal = plan?.goal || {};
+    const configured = Array.isArray(plan?.accounts)
+      ? plan.accounts.filter((account) => typeof account?.id === "string")
+      : [];
+    const configuredIds = new Set(configured.map((account) => account.id));
+
+    // Two-pot plans keep balances and targets in `goal`; an entry in `accounts`
+    // with the same id takes precedence over those fields.
+    const legacy = LEGACY_ACCOUNTS.filter(
+      ({ id }) =>
+        !configuredIds.has(id) && (hasOwn(goal, `target_${id}`) || hasOwn(goal, `current_${id}`))
+    ).map(({ id, name }) => ({
+      id,
+      name,
+      target: safeNumber(goal[`target_${id}`]),
+      current: safeNumber(goal[`current_${id}`]) ?? 0,
+      annualRate: returns[id],
+      includeInGoal: true,
+      volatility: null,
+    }));
+
+    const custom = configured.map((account) => ({
+      id: account.id,
+      name: typeof account.name === "string" && account.name.trim() ? account.name : account.id,
+      target: safeNumber(account.target),
+      current: safeNumber(account.current) ?? 0,
+      annualRate: safeNumber(account.annual_rate) ?? safeNumber(returns[account.id]) ?? 0,
+      includeInGoal: account.include_in_goal !== false,
+      volatility: safeNumber(account.volatility),
+    }));
+
+    return [...legacy, ...custom];
+  };
+
+  const getStageSaving = (stage, accountId) =>
+    safeNumber(stage?.savings?.[accountId]) ?? safeNumber(stage?.[`saving_${accountId}`]);
+
+  // A month's savings land on its stage's `contribution_day` (the last day of the month
+  // when the month is shorter), or when the month closes if the stage sets no day.
+  const getContributionDate = (stage, ym) => {
+    const [year, month] = ym.split("-").map(Number);
+    const day = stage?.contribution_day;
+    if (!Number.isInteger(day)) return new Date(year, month, 1, 0, 0, 0, 0);
+    const lastDay = new Date(year, month, 0).getDate();
+    return new Date(year, month - 1, Math.min(day, lastDay), 0, 0, 0, 0);
+  };
+
+  // The first month whose savings have not landed by `now`, and when they will.
+  const getNextContributionDate = (stages, now = new Date()) => {
+    const currentYm = getCurrentYearMonth(now);
+    const currentDate = getContributionDate(findStageForYearMonth(stages, currentYm), currentYm);
+    if (currentDate.getTime() > now.getTime()) return { month: currentYm, date: currentDate };
+
+    const month = getNextYearMonth(currentYm);
+    return { month, date: getContributionDate(findStageForYearMonth(stages, month), month) };
+  };
+
+  // The latest month whose savings have landed by `now`.
+  const getLastContributedYearMonth = (stages, now) =>
+    getPreviousYearMonth(new Date(`${getNextContributionDate(stages, now).month}-01T00:00:00`));
+
+  const createSeedState = (accounts, now, stages) => {
+    const seeds = mapAccounts(accounts, (account) => account.current);
 
     return {
-      currentLongterm: seedLong,
-      currentBuffer: seedBuffer,
-      // The balances in plan.json are treated as "current right now", so the latest
-      // fully completed savings month is the previous month, not the current one.
-      lastMonthlySavingsAddedYm: getPreviousYearMonth(now),
-      planSeedLongterm: seedLong,
-      planSeedBuffer: seedBuffer,
+      balances: { ...seeds },
+      // The balances in plan.json are treated as "current right now", so they already
+      // include every month whose savings have landed by today, and no later one.
+      lastMonthlySavingsAddedYm: getLastContributedYearMonth(stages, now),
+      planSeeds: seeds,
     };
   };
 
-  const reconcileGoalState = (planGoal, storedState, now = new Date()) => {
-    const seedState = createSeedState(planGoal, now);
-    const storedLong = safeNumber(storedState?.current_longterm);
-    const storedBuffer = safeNumber(storedState?.current_buffer);
+  const readStoredAmounts = (storedState, mapKey, legacyPrefix) => {
+    const stored = storedState?.[mapKey];
+    if (stored && typeof stored === "object") return stored;
+
+    // state.json files written before named accounts kept two flat fields.
+    const legacy = {};
+    LEGACY_ACCOUNTS.forEach(({ id }) => {
+      const value = safeNumber(storedState?.[`${legacyPrefix}${id}`]);
+      if (typeof value === "number") legacy[id] = value;
+    });
+    return legacy;
+  };
+
+  const reconcileGoalState = (accounts, storedState, now = new Date(), { stages = [] } = {}) => {
+    const seedState = createSeedState(accounts, now, stages);
+    const storedBalances = readStoredAmounts(storedState, "balances", "current_");
+    const storedSeeds = readStoredAmounts(storedState, "plan_seeds", "plan_seed_");
     const storedLastAddedYm = isValidYearMonth(storedState?.last_monthly_savings_added_ym)
       ? storedState.last_monthly_savings_added_ym
       : null;
-    const storedSeedLong = safeNumber(storedState?.plan_seed_longterm);
-    const storedSeedBuffer = safeNumber(storedState?.plan_seed_buffer);
+    const ids = accounts.map((account) => account.id);
 
     const planChanged =
-      storedSeedLong !== seedState.planSeedLongterm || storedSeedBuffer !== seedState.planSeedBuffer;
+      Object.keys(storedSeeds).length !== ids.length ||
+      ids.some((id) => safeNumber(storedSeeds[id]) !== seedState.planSeeds[id]);
 
+    // A stored month later than the last one due is kept: its savings are already in the
+    // balances, credited before the stage's contribution_day moved, and rollGoalStateForward
+    // waits until the schedule catches up instead of crediting the month again.
     const missingSnapshot =
-      typeof storedLong !== "number" ||
-      typeof storedBuffer !== "number" ||
+      ids.some((id) => typeof safeNumber(storedBalances[id]) !== "number") ||
       typeof storedLastAddedYm !== "string";
 
     if (planChanged || missingSnapshot) {
@@ -142,34 +683,138 @@
     }
 
     return {
-      currentLongterm: storedLong,
-      currentBuffer: storedBuffer,
+      balances: mapAccounts(accounts, (account) => storedBalances[account.id]),
       lastMonthlySavingsAddedYm: storedLastAddedYm,
-      planSeedLongterm: seedState.planSeedLongterm,
-      planSeedBuffer: seedState.planSeedBuffer,
+      planSeeds: seedState.planSeeds,
       shouldPersist: false,
     };
   };
 
-  const rollGoalStateForward = (state, stages, now = new Date()) => {
+  // A balance save: `balances` replace each account's saved balance in the plan and every
+  // change is an adjustment from `previousBalances` (the live, rolled-over balances the
+  // edit started from) or the plan's own figure. Used by the server and by offline saves.
+  const applyBalanceChanges = (plan, balances, { previousBalances = {}, note = "" } = {}) => {
+    const accounts = Array.isArray(plan.accounts) ? plan.accounts : null;
+    const goal = { ...(plan.goal || {}) };
+    const unknownIds = [];
+
+    // Named accounts keep their balance in `accounts[].current`; the two legacy pots
+    // fall back to `goal.current_<id>` when the plan does not list them as accounts.
+    const nextAccounts = accounts
+      ? accounts.map((account) =>
+          hasOwn(balances, account?.id) ? { ...account, current: balances[account.id] } : account
+        )
+      : undefined;
+
+    Object.entries(balances).forEach(([id, amount]) => {
+      if (nextAccounts?.some((account) => account?.id === id)) return;
+      if (LEGACY_ACCOUNTS.some((account) => account.id === id)) {
+        goal[`current_${id}`] = amount;
+        return;
+      }
+      unknownIds.push(id);
+    });
+
+    if (unknownIds.length > 0) {
+      return { error: `Unknown account: ${unknownIds.join(", ")}` };
+    }
+
+    const previousBalance = (id) => {
+      if (hasOwn(previousBalances, id)) return previousBalances[id];
+      const account = accounts?.find((item) => item?.id === id);
+      const value = account ? account.current : plan.goal?.[`current_${id}`];
+      return typeof value === "number" ? value : 0;
+    };
+    const adjustments = Object.entries(balances)
+      .filter(([id, amount]) => amount !== previousBalance(id))
+      .map(([id, amount]) => ({
+        type: "adjustment",
+        account: id,
+        amount: amount - previousBalance(id),
+        balance_before: previousBalance(id),
+        balance_after: amount,
+        note,
+      }));
+
+    return {
+      plan: { ...plan, goal, ...(nextAccounts ? { accounts: nextAccounts } : {}) },
+      adjustments,
+    };
+  };
+
+  const getEventsForYearMonth = (events, ym) =>
+    Array.isArray(events)
+      ? events.filter((event) => event?.month === ym && typeof event.amount === "number")
+      : [];
+
+  const sumEventAmounts = (monthEvents, accountId) =>
+    monthEvents
+      .filter((event) => event.account === accountId)
+      .reduce((sum, event) => sum + event.amount, 0);
+
+  // Growth on the opening balance is credited before the month's deposits, and
+  // one-off events land when the month closes, after the regular savings.
+  const stepAccountBalances = (balances, accounts, monthlyRates, stage, monthEvents = []) => {
+    accounts.forEach((account) => {
+      balances[account.id] *= 1 + monthlyRates[account.id];
+      const add = getStageSaving(stage, account.id);
+      if (typeof add === "number") balances[account.id] += add;
+      balances[account.id] += sumEventAmounts(monthEvents, account.id);
+    });
+  };
+
+  // Steps one month like stepAccountBalances and reports what was credited and earned.
+  const stepAndRecordBalances = (balances, accounts, monthlyRates, stage, monthEvents = []) => {
+    const before = { ...balances };
+    stepAccountBalances(balances, accounts, monthlyRates, stage, monthEvents);
+    const credited = mapAccounts(
+      accounts,
+      (account) =>
+        (getStageSaving(stage, account.id) ?? 0) + sumEventAmounts(monthEvents, account.id)
+    );
+    return {
+      credited,
+      growth: mapAccounts(
+        accounts,
+        (account) => balances[account.id] - before[account.id] - credited[account.id]
+      ),
+    };
+  };
+
+  const rollGoalStateForward = (
+    state,
+    stages,
+    now = new Date(),
+    { accounts, events = [] } = {}
+  ) => {
+    const balances = {};
+    Object.entries(state?.balances || {}).forEach(([id, value]) => {
+      balances[id] = safeNumber(value) ?? 0;
+    });
+
+    const accountList = Array.isArray(accounts)
+      ? accounts
+      : Object.keys(balances).map((id) => ({ id, annualRate: 0 }));
+    accountList.forEach((account) => {
+      if (typeof balances[account.id] !== "number") balances[account.id] = 0;
+    });
+
     const nextState = {
-      currentLongterm: safeNumber(state?.currentLongterm) ?? 0,
-      currentBuffer: safeNumber(state?.currentBuffer) ?? 0,
+      balances,
       lastMonthlySavingsAddedYm:
         isValidYearMonth(state?.lastMonthlySavingsAddedYm) ? state.lastMonthlySavingsAddedYm : null,
-      planSeedLongterm: safeNumber(state?.planSeedLongterm) ?? 0,
-      planSeedBuffer: safeNumber(state?.planSeedBuffer) ?? 0,
+      planSeeds: { ...(state?.planSeeds || {}) },
     };
 
-    const targetYm = getPreviousYearMonth(now);
+    const targetYm = getLastContributedYearMonth(stages, now);
 
     if (!nextState.lastMonthlySavingsAddedYm) {
       nextState.lastMonthlySavingsAddedYm = targetYm;
-      return { state: nextState, changed: false };
+      return { state: nextState, changed: false, months: [] };
     }
 
     if (targetYm <= nextState.lastMonthlySavingsAddedYm) {
-      return { state: nextState, changed: false };
+      return { state: nextState, changed: false, months: [] };
     }
 
     let cursor = addMonths(
@@ -177,124 +822,1040 @@
       1
     );
     let changed = false;
+    const months = [];
+    const monthlyRates = mapAccounts(accountList, (account) =>
+      toMonthlyRate(safeNumber(account.annualRate) ?? 0)
+    );
 
     while (getCurrentYearMonth(cursor) <= targetYm) {
       const ym = getCurrentYearMonth(cursor);
       const stage = findStageForYearMonth(stages, ym);
-      const addLong = safeNumber(stage?.saving_longterm);
-      const addBuffer = safeNumber(stage?.saving_buffer);
+      const monthEvents = getEventsForYearMonth(events, ym);
 
-      if (typeof addLong === "number") {
-        nextState.currentLongterm += addLong;
-        changed = true;
-      }
-
-      if (typeof addBuffer === "number") {
-        nextState.currentBuffer += addBuffer;
+      if (
+        accountList.some(
+          (account) =>
+            monthlyRates[account.id] !== 0 ||
+            typeof getStageSaving(stage, account.id) === "number" ||
+            monthEvents.some((event) => event.account === account.id)
+        )
+      ) {
         changed = true;
       }
 
+      const { credited, growth } = stepAndRecordBalances(
+        nextState.balances,
+        accountList,
+        monthlyRates,
+        stage,
+        monthEvents
+      );
       nextState.lastMonthlySavingsAddedYm = ym;
       cursor = addMonths(cursor, 1);
+
+      // One record per credited month, so callers can journal what was credited and why.
+      months.push({
+        month: ym,
+        stage: stage?.name || null,
+        credited,
+        growth,
+        events: monthEvents,
+        balances: { ...nextState.balances },
+      });
     }
 
-    return { state: nextState, changed };
+    return { state: nextState, changed, months };
   };
 
-  const projectGoalDate = ({
+  // The balances as they stood on `date`, rebuilt from the journal: the closing balances
+  // of the last month rolled over by then, with any later manual adjustment made by the
+  // end of that day on top. Null when the journal has no credited month that early.
+  const replayJournalTo = (entries, date, stages = []) => {
+    const lastCreditedYm = getLastContributedYearMonth(stages, date);
+    const endOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    const applied = (Array.isArray(entries) ? entries : [])
+      .filter((entry) =>
+        entry?.type === "rollover"
+          ? entry.month <= lastCreditedYm && entry.balances && typeof entry.balances === "object"
+          : entry?.type === "adjustment" && Date.parse(entry.timestamp) < endOfDay.getTime()
+      )
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+    let state = null;
+    applied.forEach((entry) => {
+      if (entry.type === "rollover") {
+        if (state && entry.month <= state.lastMonthlySavingsAddedYm) return;
+        state = {
+          balances: { ...(state?.balances || {}), ...entry.balances },
+          lastMonthlySavingsAddedYm: entry.month,
+        };
+      } else if (state && typeof entry.balance_after === "number") {
+        state.balances[entry.account] = entry.balance_after;
+      }
+    });
+    return state;
+  };
+
+  // Whether `date` is a day before `now` that `state` has already moved past. Today and
+  // later days never are, even when a month was credited ahead of the schedule because
+  // its stage's contribution_day has since moved later.
+  const isBeforeState = (state, stages, date, now = new Date()) =>
+    date.getTime() < new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime() &&
+    getNextContributionDate(stages, date).month <= state.lastMonthlySavingsAddedYm;
+
+  // The state as it stands on `date`: rolled forward over the months credited by then or,
+  // for an earlier day (isBeforeState), rebuilt with replayJournalTo and rolled forward
+  // from there. Null when the journal does not reach back that far.
+  const getStateAsOf = (
+    state,
     stages,
+    date,
+    { accounts, events = [], journal = [], now = new Date() } = {}
+  ) => {
+    let start = state;
+    if (isBeforeState(state, stages, date, now)) {
+      const replayed = replayJournalTo(journal, date, stages);
+      if (!replayed) return null;
+      start = {
+        ...state,
+        balances: { ...state.balances, ...replayed.balances },
+        lastMonthlySavingsAddedYm: replayed.lastMonthlySavingsAddedYm,
+      };
+    }
+    return rollGoalStateForward(start, stages, date, { accounts, events }).state;
+  };
+
+  // Accepts either `accounts` + `balances`, or the two-pot arguments where targets
+  // live in `goal` and balances are passed as currentLongterm/currentBuffer.
+  const normalizeProjectionInput = ({
     goal,
+    accounts,
+    balances,
     currentLongterm,
     currentBuffer,
-    annualRate = 0.08,
-    now = new Date(),
+    annualRate,
+    bufferRate,
+    volatility = null,
   }) => {
+    if (Array.isArray(accounts)) {
+      return {
+        accounts,
+        balances: mapAccounts(
+          accounts,
+          (account) => safeNumber(balances?.[account.id]) ?? safeNumber(account.current) ?? 0
+        ),
+      };
+    }
+
     const targetLT = safeNumber(goal?.target_longterm);
     const targetBuf = safeNumber(goal?.target_buffer);
     const seedLong = safeNumber(currentLongterm);
     const seedBuf = safeNumber(currentBuffer);
 
-    if (typeof targetLT !== "number" || targetLT <= 0) return { reached: false };
-    if (typeof targetBuf !== "number" || targetBuf < 0) return { reached: false };
-    if (typeof seedLong !== "number" || typeof seedBuf !== "number") return { reached: false };
-    if (typeof annualRate !== "number" || annualRate < 0) return { reached: false };
+    if (typeof targetLT !== "number" || targetLT <= 0) return null;
+    if (typeof targetBuf !== "number" || targetBuf < 0) return null;
+    if (typeof seedLong !== "number" || typeof seedBuf !== "number") return null;
 
-    let longTermBalance = seedLong;
-    let bufferBalance = seedBuf;
+    return {
+      accounts: [
+        { id: "longterm", target: targetLT, annualRate, includeInGoal: true, volatility },
+        { id: "buffer", target: targetBuf, annualRate: bufferRate, includeInGoal: true },
+      ],
+      balances: { longterm: seedLong, buffer: seedBuf },
+    };
+  };
 
-    if (longTermBalance >= targetLT && bufferBalance >= targetBuf) {
+  const getGoalAccounts = (accounts) =>
+    accounts.filter((account) => account.includeInGoal && typeof account.target === "number");
+
+  const isProjectable = (accounts, goalAccounts) =>
+    goalAccounts.length > 0 &&
+    goalAccounts.some((account) => account.target > 0) &&
+    goalAccounts.every((account) => account.target >= 0) &&
+    accounts.every((account) => typeof account.annualRate === "number" && account.annualRate > -1);
+
+  const projectGoalDate = ({
+    stages,
+    goal,
+    annualRate = DEFAULT_RETURNS.longterm,
+    bufferRate = DEFAULT_RETURNS.buffer,
+    events = [],
+    inflationRate = 0,
+    now = new Date(),
+    ...input
+  }) => {
+    const normalized = normalizeProjectionInput({ goal, annualRate, bufferRate, ...input });
+    if (!normalized) return { reached: false };
+
+    const { accounts } = normalized;
+    const goalAccounts = getGoalAccounts(accounts);
+    if (!isProjectable(accounts, goalAccounts)) return { reached: false };
+
+    const balances = { ...normalized.balances };
+    const scaleTarget = createTargetScaler(goal, inflationRate, now);
+    const isReached = (date) => {
+      const scale = scaleTarget(date);
+      return goalAccounts.every((account) => balances[account.id] >= account.target * scale);
+    };
+
+    if (isReached(now)) {
       return { reached: true, date: now };
     }
 
-    const monthlyRate = Math.pow(1 + annualRate, 1 / 12) - 1;
-    let cursor = new Date(now.getFullYear(), now.getMonth() + 1, 1, 0, 0, 0, 0);
+    const monthlyRates = mapAccounts(accounts, (account) => toMonthlyRate(account.annualRate));
+    let { month: ym } = getNextContributionDate(stages, now);
 
-    // At the first instant of a new month we credit the month that just finished.
+    // Each month is credited on its contribution day, or at the first instant of the
+    // next month when its stage has none.
     for (let i = 0; i < 600; i += 1) {
-      const ym = getPreviousYearMonth(cursor);
       const stage = findStageForYearMonth(stages, ym);
+      const date = getContributionDate(stage, ym);
+
+      stepAccountBalances(
+        balances,
+        accounts,
+        monthlyRates,
+        stage,
+        getEventsForYearMonth(events, ym)
+      );
+
+      if (isReached(date)) {
+        return { reached: true, date };
+      }
+
+      ym = getNextYearMonth(ym);
+    }
+
+    return { reached: false };
+  };
+
+  // Month-by-month balances from today, with what each month credited and earned.
+  // Without `months` the series runs until a year after the goal is reached.
+  const projectBalanceSeries = ({
+    stages,
+    goal,
+    annualRate = DEFAULT_RETURNS.longterm,
+    bufferRate = DEFAULT_RETURNS.buffer,
+    events = [],
+    inflationRate = 0,
+    now = new Date(),
+    months,
+    ...input
+  }) => {
+    const normalized = normalizeProjectionInput({ goal, annualRate, bufferRate, ...input });
+    if (!normalized) return null;
 
-      longTermBalance *= 1 + monthlyRate;
+    const { accounts } = normalized;
+    if (accounts.some((account) => !(account.annualRate > -1))) return null;
 
-      const addLong = safeNumber(stage?.saving_longterm);
-      const addBuf = safeNumber(stage?.saving_buffer);
+    const goalAccounts = getGoalAccounts(accounts);
+    const balances = { ...normalized.balances };
+    const scaleTarget = createTargetScaler(goal, inflationRate, now);
+    const isReached = (date) =>
+      goalAccounts.length > 0 &&
+      goalAccounts.every((account) => balances[account.id] >= account.target * scaleTarget(date));
+    const zeros = mapAccounts(accounts, () => 0);
 
-      if (typeof addLong === "number") longTermBalance += addLong;
-      if (typeof addBuf === "number") bufferBalance += addBuf;
+    const points = [
+      {
+        date: now,
+        month: null,
+        stage: findStageForYearMonth(stages, getCurrentYearMonth(now))?.name || null,
+        balances: { ...balances },
+        credited: zeros,
+        growth: zeros,
+      },
+    ];
+    let goalDate = isReached(now) ? now : null;
 
-      if (longTermBalance >= targetLT && bufferBalance >= targetBuf) {
-        return { reached: true, date: cursor };
+    const limit = typeof months === "number" ? Math.min(600, Math.max(0, months)) : 600;
+    const monthlyRates = mapAccounts(accounts, (account) => toMonthlyRate(account.annualRate));
+    let { month: ym } = getNextContributionDate(stages, now);
+    let trailing = 12;
+
+    for (let i = 0; i < limit; i += 1) {
+      const stage = findStageForYearMonth(stages, ym);
+      const date = getContributionDate(stage, ym);
+      const { credited, growth } = stepAndRecordBalances(
+        balances,
+        accounts,
+        monthlyRates,
+        stage,
+        getEventsForYearMonth(events, ym)
+      );
+      points.push({
+        date,
+        month: ym,
+        stage: stage?.name || null,
+        balances: { ...balances },
+        credited,
+        growth,
+      });
+
+      if (!goalDate && isReached(date)) goalDate = date;
+      if (typeof months !== "number" && goalDate) {
+        trailing -= 1;
+        if (trailing < 0) break;
       }
+      ym = getNextYearMonth(ym);
+    }
 
-      cursor = addMonths(cursor, 1);
+    return { accounts, points, goalDate };
+  };
+
+  // The month-by-month table behind projectBalanceSeries: one row per month from the
+  // current month (or `from`, if later) until the goal is reached. A stage without
+  // net_income has it estimated with `taxCore`, as the dashboard does.
+  const buildProjectionSchedule = ({ stages, from, taxCore, municipalRate, ...input }) => {
+    const series = projectBalanceSeries({ stages, ...input });
+    if (!series) return null;
+
+    const lastDate = series.goalDate || series.points[series.points.length - 1].date;
+    const estimateNetIncome = (stage, ym) => {
+      const income = safeNumber(stage?.income);
+      if (!taxCore || typeof income !== "number") return null;
+      return taxCore.calculateMonthlyTax({
+        grossMonthly: income,
+        year: Number(ym.slice(0, 4)),
+        municipalRate: safeNumber(municipalRate) ?? undefined,
+      }).netIncome;
+    };
+
+    const rows = series.points
+      .filter((point) => point.month && point.date <= lastDate)
+      .filter((point) => !from || point.month >= from)
+      .map((point) => {
+        const stage = findStageForYearMonth(stages, point.month);
+        return {
+          month: point.month,
+          stage: point.stage,
+          net_income: safeNumber(stage?.net_income) ?? estimateNetIncome(stage, point.month),
+          fixed_costs: safeNumber(stage?.fixed_costs),
+          household: safeNumber(stage?.household),
+          contributions: point.credited,
+          growth: point.growth,
+          balances: point.balances,
+        };
+      });
+
+    return {
+      accounts: series.accounts.map((account) => ({ id: account.id, name: account.name })),
+      goalDate: series.goalDate,
+      rows,
+    };
+  };
+
+  // With `locale: "sv-SE"` the CSV uses semicolons and decimal commas, which is what
+  // Excel expects on a Swedish system.
+  const formatScheduleCsv = (schedule, { locale } = {}) => {
+    const isSwedish = locale === "sv-SE";
+    const delimiter = isSwedish ? ";" : ",";
+    const formatNumber = (value) => {
+      if (typeof value !== "number") return "";
+      const fixed = (Math.round(value * 100) / 100).toFixed(2);
+      return isSwedish ? fixed.replace(".", ",") : fixed;
+    };
+    const quote = (text) =>
+      /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    const ids = schedule.accounts.map((account) => account.id);
+
+    const header = [
+      "month",
+      "stage",
+      "net_income",
+      "fixed_costs",
+      "household",
+      ...ids.map((id) => `contribution_${id}`),
+      ...ids.map((id) => `growth_${id}`),
+      ...ids.map((id) => `balance_${id}`),
+    ];
+    const lines = schedule.rows.map((row) =>
+      [
+        row.month,
+        quote(row.stage || ""),
+        formatNumber(row.net_income),
+        formatNumber(row.fixed_costs),
+        formatNumber(row.household),
+        ...ids.map((id) => formatNumber(row.contributions[id])),
+        ...ids.map((id) => formatNumber(row.growth[id])),
+        ...ids.map((id) => formatNumber(row.balances[id])),
+      ].join(delimiter)
+    );
+
+    return `${[header.join(delimiter), ...lines].join("\r\n")}\r\n`;
+  };
+
+  const isStageActiveIn = (stage, ym) => stage.from <= ym && (!stage.to || ym <= stage.to);
+
+  // Adds up `months` months from `from` (a calendar year is { from: "2026-01" }), taking
+  // each month from whichever stage applies then, with its indexed amounts. Fields follow
+  // the month view; a total is null when no month had a value for it. Months that fall
+  // outside every stage's from/to use the nearest stage and are listed in `gaps`.
+  const sumStageMonths = ({
+    stages,
+    accounts = [],
+    from,
+    months = 12,
+    taxCore,
+    municipalRate,
+    inflationRate = 0,
+    now = new Date(),
+  }) => {
+    const totals = {
+      incomePreTax: null,
+      tax: null,
+      municipalTax: null,
+      stateTax: null,
+      earnedIncomeCredit: null,
+      netIncome: null,
+      computedNetIncome: null,
+      fixedCosts: null,
+      household: null,
+      totalOut: null,
+      savingsTotal: null,
+      leftover: null,
+    };
+    const savings = mapAccounts(accounts, () => null);
+    const activeStages = new Map();
+    const gaps = [];
+    const add = (key, value, target = totals) => {
+      if (typeof value === "number") target[key] = (target[key] ?? 0) + value;
+    };
+
+    const first = new Date(`${from}-01T00:00:00`);
+    let ym = from;
+    for (let i = 0; i < months; i += 1) {
+      const date = addMonths(first, i);
+      ym = getCurrentYearMonth(date);
+      const matched = matchStageForYearMonth(stages, ym);
+      if (!matched || !isStageActiveIn(matched, ym)) gaps.push(ym);
+      if (!matched) continue;
+
+      if (!activeStages.has(matched)) activeStages.set(matched, { stage: matched, months: [] });
+      activeStages.get(matched).months.push(ym);
+
+      const stage = indexStageForYearMonth(matched, ym);
+      const real = (amount) => deflateAmount(amount, date, { inflationRate, baseDate: now });
+      const income = safeNumber(stage.income);
+      const breakdown =
+        taxCore && typeof income === "number"
+          ? taxCore.calculateMonthlyTax({
+              grossMonthly: income,
+              year: date.getFullYear(),
+              municipalRate: safeNumber(municipalRate) ?? undefined,
+            })
+          : null;
+      const netIncome = safeNumber(stage.net_income) ?? breakdown?.netIncome ?? null;
+      const fixedCosts = safeNumber(stage.fixed_costs);
+      const household = safeNumber(stage.household);
+      const totalOut =
+        typeof fixedCosts === "number" && typeof household === "number"
+          ? fixedCosts + household
+          : null;
+      const known = accounts
+        .map((account) => getStageSaving(stage, account.id))
+        .filter((amount) => typeof amount === "number");
+      const savingsTotal = known.length > 0 ? known.reduce((sum, amount) => sum + amount, 0) : null;
+
+      const hasNet = typeof netIncome === "number";
+      const leftover =
+        hasNet && typeof totalOut === "number" && typeof savingsTotal === "number"
+          ? netIncome - totalOut - savingsTotal
+          : null;
+
+      add("incomePreTax", real(income));
+      add("tax", typeof income === "number" && hasNet ? real(income - netIncome) : null);
+      add("municipalTax", real(breakdown?.municipalTax));
+      add("stateTax", real(breakdown?.stateTax));
+      add("earnedIncomeCredit", real(breakdown?.earnedIncomeCredit));
+      add("netIncome", real(netIncome));
+      add("computedNetIncome", real(breakdown?.netIncome));
+      add("fixedCosts", real(fixedCosts));
+      add("household", real(household));
+      add("totalOut", real(totalOut));
+      add("savingsTotal", real(savingsTotal));
+      add("leftover", real(leftover));
+      accounts.forEach((account) => {
+        add(account.id, real(getStageSaving(stage, account.id)), savings);
+      });
     }
 
-    return { reached: false };
+    return {
+      from,
+      to: ym,
+      months,
+      totals,
+      savings,
+      stages: [...activeStages.values()],
+      gaps,
+    };
   };
 
-  const projectBufferDate = ({ stages, goal, currentBuffer, now = new Date() }) => {
-    const targetBuf = safeNumber(goal?.target_buffer);
-    const seedBuf = safeNumber(currentBuffer);
+  const createSeededRandom = (seed = 1) => {
+    // mulberry32: small, fast and good enough for reproducible projections.
+    let a = Math.floor(Number(seed) || 0) >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  const createNormalSampler = (random) => {
+    let spare = null;
+    return () => {
+      if (spare !== null) {
+        const value = spare;
+        spare = null;
+        return value;
+      }
+
+      let u = 0;
+      while (u === 0) u = random();
+      const v = random();
+      const radius = Math.sqrt(-2 * Math.log(u));
+      spare = radius * Math.sin(2 * Math.PI * v);
+      return radius * Math.cos(2 * Math.PI * v);
+    };
+  };
+
+  const pickPercentile = (sortedValues, percentile) => {
+    if (sortedValues.length === 0) return Infinity;
+    const rank = Math.ceil(percentile * sortedValues.length) - 1;
+    return sortedValues[Math.min(sortedValues.length - 1, Math.max(0, rank))];
+  };
+
+  // With two-pot arguments, expectedReturn/volatility describe the long-term pot.
+  // With `accounts`, each account's annualRate and volatility are used instead.
+  const simulateGoalDates = ({
+    stages,
+    goal,
+    expectedReturn = DEFAULT_RETURNS.longterm,
+    bufferRate = DEFAULT_RETURNS.buffer,
+    volatility = 0.15,
+    runs = 2000,
+    seed = 1,
+    events = [],
+    inflationRate = 0,
+    now = new Date(),
+    ...input
+  }) => {
+    const targetYear = safeNumber(goal?.target_year);
+    const empty = { runs: 0, percentiles: null, probabilityByTargetYear: null, targetYear };
+
+    if (typeof volatility !== "number" || volatility < 0) return empty;
+    if (!Number.isInteger(runs) || runs <= 0) return empty;
+
+    const normalized = normalizeProjectionInput({
+      goal,
+      annualRate: expectedReturn,
+      bufferRate,
+      volatility,
+      ...input,
+    });
+    if (!normalized) return empty;
+
+    const { accounts } = normalized;
+    const goalAccounts = getGoalAccounts(accounts);
+    if (!isProjectable(accounts, goalAccounts)) return empty;
+
+    const isStochastic = (account) => (safeNumber(account.volatility) ?? 0) > 0;
+    const stochastic = accounts.filter(isStochastic);
+    const steady = accounts.filter((account) => !isStochastic(account));
+    const stochasticGoals = goalAccounts.filter(isStochastic);
+    const steadyGoals = goalAccounts.filter((account) => !isStochastic(account));
+
+    // Contributions and steady accounts do not depend on market returns, so the month
+    // schedule is built once and every simulated path only replays volatile growth.
+    let { month: ym } = getNextContributionDate(stages, now);
+    const scaleTarget = createTargetScaler(goal, inflationRate, now);
+    const steadyRates = mapAccounts(steady, (account) => toMonthlyRate(account.annualRate));
+    const steadyBalances = mapAccounts(steady, (account) => normalized.balances[account.id]);
+    const steadyReached = (scale) =>
+      steadyGoals.every((account) => steadyBalances[account.id] >= account.target * scale);
+    const schedule = [];
+    for (let i = 0; i < 600; i += 1) {
+      const stage = findStageForYearMonth(stages, ym);
+      const date = getContributionDate(stage, ym);
+      const monthEvents = getEventsForYearMonth(events, ym);
+      const targetScale = scaleTarget(date);
+      stepAccountBalances(steadyBalances, steady, steadyRates, stage, monthEvents);
+      schedule.push({
+        date,
+        adds: stochastic.map(
+          (account) =>
+            (getStageSaving(stage, account.id) ?? 0) + sumEventAmounts(monthEvents, account.id)
+        ),
+        steadyReached: steadyReached(targetScale),
+        targetScale,
+      });
+      ym = getNextYearMonth(ym);
+    }
+
+    // Monthly log-returns are normal, with the drift corrected so the expected
+    // monthly growth factor matches the annual expected return. All volatile
+    // accounts share one market shock per month.
+    const sigmas = stochastic.map((account) => account.volatility / Math.sqrt(12));
+    const drifts = stochastic.map(
+      (account, index) =>
+        Math.log(1 + account.annualRate) / 12 - (sigmas[index] * sigmas[index]) / 2
+    );
+    const goalIndexes = stochasticGoals.map((account) => stochastic.indexOf(account));
+    const nextNormal = createNormalSampler(createSeededRandom(seed));
+    const initialSteady = mapAccounts(steady, (account) => normalized.balances[account.id]);
+    const nowScale = scaleTarget(now);
+    const startsReached =
+      steadyGoals.every((account) => initialSteady[account.id] >= account.target * nowScale) &&
+      stochasticGoals.every(
+        (account) => normalized.balances[account.id] >= account.target * nowScale
+      );
+    const monthsToGoal = [];
+
+    for (let run = 0; run < runs; run += 1) {
+      const pathBalances = stochastic.map((account) => normalized.balances[account.id]);
+      let reachedAt = startsReached ? -1 : Infinity;
+
+      for (let i = 0; i < schedule.length && reachedAt === Infinity; i += 1) {
+        const month = schedule[i];
+        const shock = stochastic.length > 0 ? nextNormal() : 0;
+
+        for (let index = 0; index < stochastic.length; index += 1) {
+          pathBalances[index] *= Math.exp(drifts[index] + sigmas[index] * shock);
+          pathBalances[index] += month.adds[index];
+        }
+
+        if (
+          month.steadyReached &&
+          goalIndexes.every(
+            (index) => pathBalances[index] >= stochastic[index].target * month.targetScale
+          )
+        ) {
+          reachedAt = i;
+        }
+      }
+
+      monthsToGoal.push(reachedAt);
+    }
+
+    monthsToGoal.sort((a, b) => a - b);
+
+    const toProjection = (monthIndex) => {
+      if (monthIndex === Infinity) return { reached: false };
+      if (monthIndex < 0) return { reached: true, date: now };
+      return { reached: true, date: schedule[monthIndex].date };
+    };
+
+    let probabilityByTargetYear = null;
+    if (typeof targetYear === "number") {
+      // December is credited at the first instant of the next year, which still
+      // counts as reaching the goal "by" the target year.
+      const deadline = getGoalTargetDate(goal).getTime();
+      const hits = monthsToGoal.filter(
+        (monthIndex) =>
+          monthIndex !== Infinity &&
+          (monthIndex < 0 ? now.getTime() : schedule[monthIndex].date.getTime()) <= deadline
+      ).length;
+      probabilityByTargetYear = hits / runs;
+    }
+
+    return {
+      runs,
+      percentiles: {
+        p10: toProjection(pickPercentile(monthsToGoal, 0.1)),
+        p50: toProjection(pickPercentile(monthsToGoal, 0.5)),
+        p90: toProjection(pickPercentile(monthsToGoal, 0.9)),
+      },
+      probabilityByTargetYear,
+      targetYear,
+    };
+  };
 
-    if (typeof targetBuf !== "number" || targetBuf <= 0) return { reached: false };
-    if (typeof seedBuf !== "number") return { reached: false };
+  const projectAccountDate = ({
+    stages,
+    goal,
+    account,
+    balance,
+    events = [],
+    inflationRate = 0,
+    now = new Date(),
+  }) => {
+    const target = safeNumber(account?.target);
+    const seed = safeNumber(balance);
+    const annualRate = safeNumber(account?.annualRate) ?? 0;
+
+    if (typeof target !== "number" || target <= 0) return { reached: false };
+    if (typeof seed !== "number") return { reached: false };
+    if (annualRate <= -1) return { reached: false };
 
-    let bufferBalance = seedBuf;
+    const balances = { [account.id]: seed };
+    const scaleTarget = createTargetScaler(goal, inflationRate, now);
 
-    if (bufferBalance >= targetBuf) {
+    if (balances[account.id] >= target * scaleTarget(now)) {
       return { reached: true, date: now };
     }
 
-    let cursor = new Date(now.getFullYear(), now.getMonth() + 1, 1, 0, 0, 0, 0);
+    const monthlyRates = { [account.id]: toMonthlyRate(annualRate) };
+    let { month: ym } = getNextContributionDate(stages, now);
 
     for (let i = 0; i < 600; i += 1) {
-      const ym = getPreviousYearMonth(cursor);
       const stage = findStageForYearMonth(stages, ym);
-      const addBuf = safeNumber(stage?.saving_buffer);
+      const date = getContributionDate(stage, ym);
 
-      if (typeof addBuf === "number") bufferBalance += addBuf;
+      stepAccountBalances(
+        balances,
+        [account],
+        monthlyRates,
+        stage,
+        getEventsForYearMonth(events, ym)
+      );
 
-      if (bufferBalance >= targetBuf) {
-        return { reached: true, date: cursor };
+      if (balances[account.id] >= target * scaleTarget(date)) {
+        return { reached: true, date };
       }
 
-      cursor = addMonths(cursor, 1);
+      ym = getNextYearMonth(ym);
     }
 
     return { reached: false };
   };
 
+  // Balance of one account once every month credited on or before `deadline` is in,
+  // with `extraMonthly` saved on top of the stage amount each month.
+  const projectBalanceAt = ({ stages, account, balance, extraMonthly, events, now, deadline }) => {
+    const balances = { [account.id]: balance };
+    const monthlyRates = { [account.id]: toMonthlyRate(account.annualRate) };
+    let { month: ym } = getNextContributionDate(stages, now);
+    let stage = findStageForYearMonth(stages, ym);
+
+    while (getContributionDate(stage, ym).getTime() <= deadline.getTime()) {
+      stepAccountBalances(
+        balances,
+        [account],
+        monthlyRates,
+        stage,
+        getEventsForYearMonth(events, ym)
+      );
+      balances[account.id] += extraMonthly;
+      ym = getNextYearMonth(ym);
+      stage = findStageForYearMonth(stages, ym);
+    }
+
+    return balances[account.id];
+  };
+
+  const REQUIRED_RATE_BOUNDS = { min: -0.99, max: 1 };
+
+  // Goal-seek for one account (long-term by default) against the end of target_year:
+  // the flat extra monthly saving needed from now on at the assumed return, and the
+  // annual return that would be needed with the planned savings alone.
+  const solveRequiredSavings = ({
+    stages,
+    goal,
+    annualRate = DEFAULT_RETURNS.longterm,
+    currentLongterm,
+    account,
+    balance,
+    events = [],
+    now = new Date(),
+  }) => {
+    const deadline = getGoalTargetDate(goal);
+    const solvedAccount = account || {
+      id: "longterm",
+      target: safeNumber(goal?.target_longterm),
+      annualRate,
+    };
+    const target = safeNumber(solvedAccount.target);
+    const seed = safeNumber(account ? balance : currentLongterm);
+    const rate = safeNumber(solvedAccount.annualRate) ?? 0;
+
+    if (!deadline || typeof target !== "number" || target <= 0) return null;
+    if (typeof seed !== "number" || rate <= -1) return null;
+
+    const balanceAt = ({ annualRate: nextRate = rate, extraMonthly = 0 } = {}) =>
+      projectBalanceAt({
+        stages,
+        account: { ...solvedAccount, annualRate: nextRate },
+        balance: seed,
+        extraMonthly,
+        events,
+        now,
+        deadline,
+      });
+
+    const firstMonth = getNextContributionDate(stages, now).month;
+    const months = Math.max(0, monthsBetween(new Date(`${firstMonth}-01T00:00:00`), deadline));
+    const projectedBalance = balanceAt();
+    const shortfall = target - projectedBalance;
+
+    // The balance at the deadline is linear in the extra saving, so one more run
+    // with a single krona per month gives the slope.
+    let extraMonthlySaving = 0;
+    if (shortfall > 0) {
+      const perKrona = balanceAt({ extraMonthly: 1 }) - projectedBalance;
+      extraMonthlySaving = perKrona > 0 ? shortfall / perKrona : null;
+    }
+
+    let requiredAnnualRate = null;
+    if (months > 0 && balanceAt({ annualRate: REQUIRED_RATE_BOUNDS.max }) >= target) {
+      let low = REQUIRED_RATE_BOUNDS.min;
+      let high = REQUIRED_RATE_BOUNDS.max;
+      if (balanceAt({ annualRate: low }) >= target) {
+        high = low;
+      }
+      for (let i = 0; i < 60 && high - low > 1e-7; i += 1) {
+        const mid = (low + high) / 2;
+        if (balanceAt({ annualRate: mid }) >= target) {
+          high = mid;
+        } else {
+          low = mid;
+        }
+      }
+      requiredAnnualRate = high;
+    }
+
+    return {
+      deadline,
+      months,
+      target,
+      projectedBalance,
+      shortfall: Math.max(0, shortfall),
+      extraMonthlySaving,
+      requiredAnnualRate,
+    };
+  };
+
+  const DECUMULATION_MONTHS = 1200;
+
+  // Retirement phase: the account keeps its planned savings until `from`, then stops
+  // saving and pays out a flat monthly draw while the rest stays invested.
+  const simulateDecumulation = ({
+    stages,
+    retirement,
+    account,
+    balance,
+    events = [],
+    now = new Date(),
+  }) => {
+    if (!retirement || !isValidYearMonth(retirement.from) || !account) return null;
+    const seed = safeNumber(balance);
+    if (typeof seed !== "number") return null;
+
+    // Once the phase has begun, the current balance is depleted from this month on.
+    const plannedStart = new Date(`${retirement.from}-01T00:00:00`);
+    const hasStarted = plannedStart.getTime() <= now.getTime();
+    const startDate = hasStarted
+      ? new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0)
+      : plannedStart;
+    const startBalance = hasStarted
+      ? seed
+      : projectBalanceAt({
+          stages,
+          account,
+          balance: seed,
+          extraMonthly: 0,
+          events,
+          now,
+          deadline: startDate,
+        });
+
+    const annualReturn =
+      safeNumber(retirement.annual_return) ?? safeNumber(account.annualRate) ?? 0;
+    if (annualReturn <= -1) return null;
+    const monthlyRate = toMonthlyRate(annualReturn);
+    const monthlyDraw =
+      safeNumber(retirement.monthly_draw) ??
+      (Math.max(0, startBalance) * (safeNumber(retirement.withdrawal_rate) ?? 0)) / 12;
+    // Drawing only the monthly growth leaves the capital untouched indefinitely.
+    const sustainableMonthlyDraw = Math.max(0, startBalance * monthlyRate);
+
+    let remaining = startBalance;
+    let depletedAt = null;
+    let monthsLasting = null;
+    let cursor = startDate;
+    if (remaining <= 0) {
+      depletedAt = startDate;
+      monthsLasting = 0;
+    }
+
+    for (let i = 0; i < DECUMULATION_MONTHS && depletedAt === null; i += 1) {
+      const ym = getCurrentYearMonth(cursor);
+      remaining = remaining * (1 + monthlyRate) - monthlyDraw;
+      remaining += sumEventAmounts(getEventsForYearMonth(events, ym), account.id);
+      cursor = addMonths(cursor, 1);
+
+      if (remaining <= 0) {
+        depletedAt = cursor;
+        monthsLasting = i + 1;
+      }
+    }
+
+    return {
+      accountId: account.id,
+      startDate,
+      startBalance,
+      annualReturn,
+      monthlyDraw,
+      sustainableMonthlyDraw,
+      depletedAt,
+      monthsLasting,
+      endBalance: depletedAt ? 0 : remaining,
+    };
+  };
+
+  // Year-months after `fromYm` up to and including `toYm`.
+  const listMonthsBetween = (fromYm, toYm) => {
+    const months = [];
+    let cursor = addMonths(new Date(`${fromYm}-01T00:00:00`), 1);
+    while (getCurrentYearMonth(cursor) <= toYm) {
+      months.push(getCurrentYearMonth(cursor));
+      cursor = addMonths(cursor, 1);
+    }
+    return months;
+  };
+
+  const stepAccountOverMonths = ({ stages, account, balance, months, events, annualRate }) => {
+    const balances = { [account.id]: balance };
+    const monthlyRates = { [account.id]: toMonthlyRate(annualRate) };
+    months.forEach((ym) => {
+      stepAccountBalances(
+        balances,
+        [account],
+        monthlyRates,
+        findStageForYearMonth(stages, ym),
+        getEventsForYearMonth(events, ym)
+      );
+    });
+    return balances[account.id];
+  };
+
+  // The annual return that turns `from` into `to` given the planned savings and events.
+  const solveImpliedAnnualReturn = ({ from, to, ...input }) => {
+    if (from <= 0 || input.months.length === 0) return null;
+    const balanceAt = (annualRate) =>
+      stepAccountOverMonths({ ...input, balance: from, annualRate });
+    let low = REQUIRED_RATE_BOUNDS.min;
+    let high = REQUIRED_RATE_BOUNDS.max;
+    if (balanceAt(low) > to || balanceAt(high) < to) return null;
+
+    for (let i = 0; i < 60 && high - low > 1e-7; i += 1) {
+      const mid = (low + high) / 2;
+      if (balanceAt(mid) >= to) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return (low + high) / 2;
+  };
+
+  // Compares recorded month-end balances with what the plan predicted between them.
+  // Check-ins are { month, balances }; a later check-in for the same month wins.
+  const buildVarianceReport = ({ checkins, stages, accounts, events = [] }) => {
+    const latestByMonth = new Map();
+    (Array.isArray(checkins) ? checkins : []).forEach((checkin) => {
+      if (isValidYearMonth(checkin?.month) && checkin.balances) {
+        latestByMonth.set(checkin.month, checkin);
+      }
+    });
+    const ordered = [...latestByMonth.values()].sort((a, b) => a.month.localeCompare(b.month));
+
+    const compare = (fromCheckin, toCheckin) => {
+      const months = listMonthsBetween(fromCheckin.month, toCheckin.month);
+      const result = {};
+      accounts.forEach((account) => {
+        const from = safeNumber(fromCheckin.balances[account.id]);
+        const to = safeNumber(toCheckin.balances[account.id]);
+        if (typeof from !== "number" || typeof to !== "number") return;
+
+        const annualRate = safeNumber(account.annualRate) ?? 0;
+        const input = { stages, account, months, events };
+        const plannedSavings = stepAccountOverMonths({ ...input, balance: 0, annualRate: 0 });
+        const predicted = stepAccountOverMonths({ ...input, balance: from, annualRate });
+
+        result[account.id] = {
+          actual: to,
+          predicted,
+          actualChange: to - from,
+          predictedChange: predicted - from,
+          plannedSavings,
+          modeledGrowth: predicted - from - plannedSavings,
+          actualGrowth: to - from - plannedSavings,
+          variance: to - predicted,
+          assumedAnnualReturn: annualRate,
+          impliedAnnualReturn: solveImpliedAnnualReturn({ ...input, from, to }),
+        };
+      });
+      return {
+        fromMonth: fromCheckin.month,
+        month: toCheckin.month,
+        months: months.length,
+        accounts: result,
+      };
+    };
+
+    const rows = ordered.slice(1).map((checkin, index) => compare(ordered[index], checkin));
+    const summary = ordered.length > 1 ? compare(ordered[0], ordered[ordered.length - 1]) : null;
+
+    return { checkins: ordered, rows, summary };
+  };
+
+  const projectBufferDate = ({
+    stages,
+    goal,
+    currentBuffer,
+    bufferRate = DEFAULT_RETURNS.buffer,
+    events = [],
+    inflationRate = 0,
+    now = new Date(),
+  }) =>
+    projectAccountDate({
+      stages,
+      goal,
+      account: { id: "buffer", target: safeNumber(goal?.target_buffer), annualRate: bufferRate },
+      balance: currentBuffer,
+      events,
+      inflationRate,
+      now,
+    });
+
   return {
+    DEFAULT_RETURNS,
     addMonths,
+    applyBalanceChanges,
+    applyScenarioRates,
+    buildProjectionSchedule,
+    buildVarianceReport,
+    createSeededRandom,
+    deflateAmount,
     findStageForYearMonth,
+    formatScheduleCsv,
     getCurrentYearMonth,
+    getEventsForYearMonth,
+    getGoalTargetDate,
+    getInflationFactor,
+    getNextContributionDate,
     getPreviousYearMonth,
+    getStageSaving,
+    getStateAsOf,
+    isBeforeState,
     isValidYearMonth,
+    projectAccountDate,
+    projectBalanceSeries,
     projectBufferDate,
     projectGoalDate,
     reconcileGoalState,
+    replayJournalTo,
+    resolveAccounts,
+    resolveReturnAssumptions,
     rollGoalStateForward,
     safeNumber,
+    simulateDecumulation,
+    simulateGoalDates,
+    solveRequiredSavings,
+    sumStageMonths,
     validatePlan,
+    validateStage,
   };
 });
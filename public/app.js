@@ -8,11 +8,7 @@ const SEK = (n) =>
     ? n.toLocaleString("sv-SE", { maximumFractionDigits: 0 })
     : "N/A";
 
-const formatAmount = (value, mode = "monthly") => {
-  if (typeof value !== "number") return "N/A";
-  const factor = mode === "yearly" ? 12 : 1;
-  return SEK(value * factor);
-};
+const formatAmount = (value) => (typeof value !== "number" ? "N/A" : SEK(value));
 
 const renderStatus = (message, isError = false) => {
   if (!app) return;
@@ -28,18 +24,42 @@ if (!core) {
 
 const {
   addMonths,
+  applyBalanceChanges,
+  applyScenarioRates,
+  buildProjectionSchedule,
+  buildVarianceReport,
+  deflateAmount,
   findStageForYearMonth,
+  formatScheduleCsv,
   getCurrentYearMonth,
+  getGoalTargetDate,
+  getNextContributionDate,
   getPreviousYearMonth,
+  getStageSaving,
+  getStateAsOf,
+  isBeforeState,
   isValidYearMonth,
-  projectBufferDate,
+  projectAccountDate,
+  projectBalanceSeries,
   projectGoalDate,
   reconcileGoalState,
+  resolveAccounts,
+  resolveReturnAssumptions,
   rollGoalStateForward,
   safeNumber,
+  simulateDecumulation,
+  simulateGoalDates,
+  solveRequiredSavings,
+  sumStageMonths,
   validatePlan,
+  validateStage,
 } = core;
 
+// The tax tables are optional; without them stages must carry their own net_income.
+const taxCore = globalThis.TaxCore || null;
+// Bank CSV parsing and transaction categorisation; only needed for imported actuals.
+const importCore = globalThis.ImportCore || null;
+
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 
 const formatClockTime = (date) =>
@@ -63,8 +83,40 @@ const formatCountdown = (ms) => {
   )}:${String(mins).padStart(2, "0")}`;
 };
 
-const formatSavingsAppliedStatus = (lastAppliedYm) =>
-  `Savings added when month closes. Last completed month applied: ${lastAppliedYm || "N/A"}`;
+const formatRate = (rate) => `${Number((rate * 100).toFixed(1))}%`;
+
+// Each month's savings land on its stage's contribution day, or when the month closes.
+const formatSavingsAppliedStatus = (lastAppliedYm) => {
+  const next = getNextContributionDate(getPlanStages(), getNow());
+  return `Next savings transfer: ${formatDay(next.date)} (${next.month}). Last month applied: ${
+    lastAppliedYm || "N/A"
+  }`;
+};
+
+/* =========================
+   As-of preview: `?as_of=2027-02-15` (or `2027-02`) shows the dashboard as it looks on
+   that day. It is read-only; the balances for the day are worked out in memory and
+   nothing is saved.
+   ========================= */
+const readAsOfDate = () => {
+  const value = new URLSearchParams(window.location.search).get("as_of") || "";
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+  if (!match) return null;
+  const [year, month, day] = [match[1], match[2], match[3] || "01"].map(Number);
+  // Noon, so a daylight saving change never moves it to another day.
+  const date = new Date(year, month - 1, day, 12);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+let asOfDate = readAsOfDate();
+
+const isPreview = () => asOfDate !== null;
+
+// The moment the dashboard is computed for: the as-of day in a preview, otherwise now.
+const getNow = () => asOfDate ?? new Date();
+
+const formatDay = (date) =>
+  `${getCurrentYearMonth(date)}-${String(date.getDate()).padStart(2, "0")}`;
 
 const getLatestStageEndInfo = (stages) => {
   if (!Array.isArray(stages) || stages.length === 0) return null;
@@ -88,20 +140,43 @@ const getLatestStageEndInfo = (stages) => {
 /* =========================
    Computation for month view
    ========================= */
-const computeViewModel = (stage) => {
+// A hand-entered net_income more than this far from the computed one gets flagged.
+const NET_INCOME_TOLERANCE = 0.05;
+
+const getMunicipalTaxRate = () => safeNumber(cachedPlan?.assumptions?.tax?.municipal_rate);
+
+const computeViewModel = (stage, accounts, yearMonth) => {
   const incomePreTax = safeNumber(stage?.income);
-  const netIncome = safeNumber(stage?.net_income);
+  const plannedNetIncome = safeNumber(stage?.net_income);
+
+  const taxBreakdown =
+    taxCore && typeof incomePreTax === "number"
+      ? taxCore.calculateMonthlyTax({
+          grossMonthly: incomePreTax,
+          year: Number(String(yearMonth).slice(0, 4)),
+          municipalRate: getMunicipalTaxRate() ?? undefined,
+        })
+      : null;
+  const computedNetIncome = taxBreakdown ? taxBreakdown.netIncome : null;
+  const netIncome = plannedNetIncome ?? computedNetIncome;
+  const netIncomeMismatch =
+    typeof plannedNetIncome === "number" &&
+    typeof computedNetIncome === "number" &&
+    computedNetIncome > 0 &&
+    Math.abs(plannedNetIncome - computedNetIncome) / computedNetIncome > NET_INCOME_TOLERANCE;
 
   const fixedCosts = safeNumber(stage?.fixed_costs);
   const household = safeNumber(stage?.household);
 
-  const savingsLong = safeNumber(stage?.saving_longterm);
-  const savingsBuffer = safeNumber(stage?.saving_buffer);
+  const savings = accounts.map((account) => ({
+    id: account.id,
+    name: account.name,
+    amount: getStageSaving(stage, account.id),
+  }));
+  const knownSavings = savings.filter((item) => typeof item.amount === "number");
 
   const savingsTotal =
-    typeof savingsLong === "number" && typeof savingsBuffer === "number"
-      ? savingsLong + savingsBuffer
-      : null;
+    knownSavings.length > 0 ? knownSavings.reduce((sum, item) => sum + item.amount, 0) : null;
 
   const totalOut =
     typeof fixedCosts === "number" && typeof household === "number"
@@ -124,17 +199,135 @@ const computeViewModel = (stage) => {
     stageName: stage?.name || "Unknown stage",
     incomePreTax,
     netIncome,
+    netIncomeSource: typeof plannedNetIncome === "number" ? "plan" : "computed",
+    computedNetIncome,
+    netIncomeMismatch,
+    taxBreakdown,
     tax,
     fixedCosts,
     household,
     totalOut,
-    savingsLong,
-    savingsBuffer,
+    savings,
     savingsTotal,
     leftover,
   };
 };
 
+const deflateViewModel = (vm, date) => {
+  const amountKeys = [
+    "incomePreTax",
+    "netIncome",
+    "computedNetIncome",
+    "tax",
+    "fixedCosts",
+    "household",
+    "totalOut",
+    "savingsTotal",
+    "leftover",
+  ];
+  const next = { ...vm };
+  amountKeys.forEach((key) => {
+    next[key] = toDisplayAmount(vm[key], date);
+  });
+  if (vm.taxBreakdown) {
+    next.taxBreakdown = { ...vm.taxBreakdown };
+    ["municipalTax", "stateTax", "earnedIncomeCredit"].forEach((key) => {
+      next.taxBreakdown[key] = toDisplayAmount(vm.taxBreakdown[key], date);
+    });
+  }
+  next.savings = vm.savings.map((item) => ({
+    ...item,
+    amount: toDisplayAmount(item.amount, date),
+  }));
+  return next;
+};
+
+// Yearly mode: a calendar year, or "rolling" for the 12 months from the current one.
+// null follows the current calendar year.
+let yearlyPeriod = null;
+
+const getYearlyPeriodStart = (yearMonth) => {
+  if (yearlyPeriod === "rolling") return yearMonth;
+  return `${yearlyPeriod ?? yearMonth.slice(0, 4)}-01`;
+};
+
+// The same fields as computeViewModel, summed over the months of the yearly period.
+const computeYearlyViewModel = (stage, stages, accounts, yearMonth) => {
+  const sum = sumStageMonths({
+    stages,
+    accounts,
+    from: getYearlyPeriodStart(yearMonth),
+    taxCore,
+    municipalRate: getMunicipalTaxRate(),
+    inflationRate: getActiveInflationRate(),
+    now: getNow(),
+  });
+  const { totals } = sum;
+  const hasBreakdown = typeof totals.municipalTax === "number";
+
+  return {
+    ...totals,
+    stageName: stage?.name || "Unknown stage",
+    netIncomeSource: null,
+    netIncomeMismatch:
+      typeof totals.netIncome === "number" &&
+      typeof totals.computedNetIncome === "number" &&
+      totals.computedNetIncome > 0 &&
+      Math.abs(totals.netIncome - totals.computedNetIncome) / totals.computedNetIncome >
+        NET_INCOME_TOLERANCE,
+    taxBreakdown: hasBreakdown
+      ? {
+          municipalTax: totals.municipalTax,
+          stateTax: totals.stateTax,
+          earnedIncomeCredit: totals.earnedIncomeCredit,
+        }
+      : null,
+    savings: accounts.map((account) => ({
+      id: account.id,
+      name: account.name,
+      amount: sum.savings[account.id],
+    })),
+  };
+};
+
+// Long-term keeps its yellow and buffer its blue; other accounts cycle the palette.
+const accountColors = {
+  longterm:
+    "linear-gradient(90deg, rgba(250,204,21,.95), rgba(251,191,36,.95), rgba(253,224,71,.95))",
+  buffer: "linear-gradient(90deg, rgba(125,211,252,.92), rgba(167,139,250,.92))",
+};
+
+const accountPalette = [
+  "linear-gradient(90deg, rgba(74,222,128,.9), rgba(45,212,191,.9))",
+  "linear-gradient(90deg, rgba(244,114,182,.9), rgba(251,113,133,.9))",
+  "linear-gradient(90deg, rgba(251,146,60,.9), rgba(250,204,21,.85))",
+  "linear-gradient(90deg, rgba(129,140,248,.9), rgba(192,132,252,.9))",
+];
+
+const getAccountColor = (accountId, index) =>
+  accountColors[accountId] || accountPalette[index % accountPalette.length];
+
+// Solid versions of the account colors for SVG strokes.
+const accountLineColors = {
+  longterm: "rgba(250,204,21,.95)",
+  buffer: "rgba(125,211,252,.92)",
+};
+
+const accountLinePalette = [
+  "rgba(74,222,128,.9)",
+  "rgba(244,114,182,.9)",
+  "rgba(251,146,60,.9)",
+  "rgba(129,140,248,.9)",
+];
+
+const getAccountLineColor = (accountId, index) =>
+  accountLineColors[accountId] || accountLinePalette[index % accountLinePalette.length];
+
+const accountShortLabels = {
+  longterm: "LT",
+  buffer: "Buf",
+};
+
 /* =========================
    DOM helpers
    ========================= */
@@ -199,7 +392,13 @@ const getNextStage = (stages, currentYm) => {
 const createAssumptionsNote = () => {
   const note = document.createElement("div");
   note.className = "assumptions-note";
-  note.textContent = "Assumptions: Long-term grows at 8% annually (monthly compounding).";
+  const returns = getReturnAssumptions();
+  note.textContent =
+    `Assumptions: Long-term grows at ${formatRate(returns.longterm)} annually, ` +
+    `buffer earns ${formatRate(returns.buffer)} (monthly compounding).` +
+    (valueMode === "real"
+      ? ` Amounts in today's SEK at ${(getInflationRate() * 100).toFixed(1)}% annual inflation.`
+      : "");
   return note;
 };
 
@@ -207,10 +406,30 @@ const createStageTimeline = (stages, currentYm) => {
   const wrapper = document.createElement("section");
   wrapper.className = "timeline";
 
+  const header = document.createElement("div");
+  header.className = "timeline-header";
   const label = document.createElement("div");
   label.className = "timeline-label";
   label.textContent = "Stages";
-  wrapper.appendChild(label);
+  header.appendChild(label);
+
+  if (canEditPlan()) {
+    const actions = document.createElement("div");
+    actions.className = "timeline-actions";
+    [
+      { text: "+ Add stage", editor: { kind: "stage", index: null } },
+      { text: "Edit goal", editor: { kind: "goal" } },
+    ].forEach(({ text, editor }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "timeline-action";
+      button.textContent = text;
+      button.addEventListener("click", () => openPlanEditor(editor));
+      actions.appendChild(button);
+    });
+    header.appendChild(actions);
+  }
+  wrapper.appendChild(header);
 
   const rail = document.createElement("div");
   rail.className = "timeline-rail";
@@ -250,6 +469,24 @@ const createStageTimeline = (stages, currentYm) => {
   visible.forEach((stage) => {
     const node = document.createElement("div");
     node.className = "timeline-node";
+    const stageIndex = stages.indexOf(stage);
+    if (canEditPlan()) {
+      node.classList.add("is-editable");
+      node.tabIndex = 0;
+      node.setAttribute("role", "button");
+      node.title = "Edit stage";
+      if (planEditor?.kind === "stage" && planEditor.index === stageIndex) {
+        node.classList.add("is-selected");
+      }
+      const open = () => openPlanEditor({ kind: "stage", index: stageIndex });
+      node.addEventListener("click", open);
+      node.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" || event.key === " ") {
+          event.preventDefault();
+          open();
+        }
+      });
+    }
 
     const name = document.createElement("div");
     name.className = "timeline-name";
@@ -269,6 +506,25 @@ const createStageTimeline = (stages, currentYm) => {
     node.appendChild(name);
     node.appendChild(dot);
     node.appendChild(dates);
+
+    const stageEvents = getPlanEvents().filter((event) => {
+      const match = findStageForYearMonth(stages, event.month);
+      return match?.name === stage?.name && match?.from === stage?.from;
+    });
+    if (stageEvents.length > 0) {
+      const list = document.createElement("div");
+      list.className = "timeline-events";
+      stageEvents.forEach((event) => {
+        const chip = document.createElement("span");
+        chip.className = `timeline-event ${event.amount < 0 ? "is-withdrawal" : "is-deposit"}`;
+        const amount = `${event.amount < 0 ? "−" : "+"}${SEK(Math.abs(event.amount))}`;
+        chip.textContent = `◆ ${event.label || event.account} ${amount}`;
+        chip.title = `${event.month} · ${event.account}`;
+        list.appendChild(chip);
+      });
+      node.appendChild(list);
+    }
+
     rail.appendChild(node);
   });
 
@@ -280,9 +536,375 @@ const createStageTimeline = (stages, currentYm) => {
   }
 
   wrapper.appendChild(rail);
+
+  if (planEditStatus && !planEditor) {
+    const status = document.createElement("div");
+    status.className = "goal-adjuster-status";
+    status.textContent = planEditStatus;
+    wrapper.appendChild(status);
+  }
   return wrapper;
 };
 
+/* =========================
+   Stage and goal editor (writes plan.json through the local API)
+   ========================= */
+// null when closed, else { kind: "stage", index, draft? } (index null adds a stage) or
+// { kind: "goal", draft? }. The draft keeps typed values across re-renders.
+let planEditor = null;
+let planEditErrors = [];
+let planEditStatus = "";
+let isSavingPlanEdit = false;
+
+const STAGE_EDITOR_FIELDS = [
+  { name: "income", label: "Income (pre-tax)" },
+  { name: "net_income", label: "Net income" },
+  { name: "fixed_costs", label: "Fixed costs" },
+  { name: "household", label: "Household" },
+  { name: "contribution_day", label: "Contribution day (optional)" },
+];
+
+// Plan edits are off while previewing another day.
+const canEditPlan = () => backendCapabilities.stageEditor && !isPreview();
+
+const openPlanEditor = (editor) => {
+  planEditor = editor;
+  planEditErrors = [];
+  planEditStatus = "";
+  renderCurrentDashboard();
+};
+
+// Sends one edit; the server answers with the whole validated plan.
+const sendPlanEdit = async (method, url, body, nextEditor = null) => {
+  isSavingPlanEdit = true;
+  planEditErrors = [];
+  planEditStatus = "";
+  renderCurrentDashboard();
+
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: ifMatchHeaders("plan"),
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    if (res.status === 409) {
+      await recoverFromConflict();
+      planEditor = null;
+      planEditStatus = `${PLAN_CONFLICT_MESSAGE} Make the edit again.`;
+      return;
+    }
+
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      planEditErrors = Array.isArray(data?.fields) ? data.fields : [];
+      const issues = Array.isArray(data?.issues) ? ` ${data.issues.join(" ")}` : "";
+      throw new Error(`${data?.error || "Could not save plan.json"}.${issues}`);
+    }
+    rememberEtag("plan", res);
+    cachedPlan = data.plan;
+    planEditor = nextEditor;
+    planEditStatus = "Saved to plan.json.";
+  } catch (err) {
+    planEditStatus = `Save failed: ${err.message}`;
+  } finally {
+    isSavingPlanEdit = false;
+    renderCurrentDashboard();
+  }
+};
+
+const getStageEditorBase = (stages) =>
+  planEditor?.kind === "stage" && planEditor.index !== null ? stages[planEditor.index] || {} : {};
+
+// Stages that already use flat `saving_<id>` fields keep them; others save into `savings`.
+const collectStageDraft = (form, base, accounts) => {
+  const data = new FormData(form);
+  const text = (name) => String(data.get(name) || "").trim();
+  const draft = { ...base, name: text("name"), from: text("from") };
+
+  if (text("to")) draft.to = text("to");
+  else delete draft.to;
+
+  STAGE_EDITOR_FIELDS.forEach(({ name }) => {
+    if (text(name) === "") delete draft[name];
+    else draft[name] = Number(text(name));
+  });
+
+  const hasFlatSavings = accounts.some((account) =>
+    Object.prototype.hasOwnProperty.call(base, `saving_${account.id}`)
+  );
+  const useSavingsMap =
+    base.savings !== undefined || (!hasFlatSavings && Array.isArray(cachedPlan?.accounts));
+  const savings = { ...(base.savings || {}) };
+
+  accounts.forEach((account) => {
+    const raw = text(`saving:${account.id}`);
+    const flatKey = `saving_${account.id}`;
+    if (useSavingsMap) {
+      delete draft[flatKey];
+      if (raw === "") delete savings[account.id];
+      else savings[account.id] = Number(raw);
+    } else if (raw === "") {
+      delete draft[flatKey];
+    } else {
+      draft[flatKey] = Number(raw);
+    }
+  });
+
+  if (useSavingsMap) draft.savings = savings;
+  return draft;
+};
+
+const createEditorField = (labelText, input, errorKeys = [], errorPrefix = "") => {
+  const label = document.createElement("label");
+  label.className = "goal-adjuster-field";
+  const caption = document.createElement("span");
+  caption.className = "goal-adjuster-label";
+  caption.textContent = labelText;
+  input.classList.add("goal-adjuster-input");
+  label.appendChild(caption);
+  label.appendChild(input);
+
+  const errors = planEditErrors.filter((error) => errorKeys.includes(error.field));
+  if (errors.length > 0) {
+    input.setAttribute("aria-invalid", "true");
+    const message = document.createElement("span");
+    message.className = "plan-editor-error";
+    message.textContent = errors.map((error) => `${errorPrefix}${error.message}`).join(" ");
+    label.appendChild(message);
+  }
+  return label;
+};
+
+const createEditorInput = (type, name, value) => {
+  const input = document.createElement("input");
+  input.type = type;
+  input.name = name;
+  if (type === "number") {
+    input.inputMode = "numeric";
+    input.step = "1";
+  }
+  input.value = value === undefined || value === null ? "" : String(value);
+  return input;
+};
+
+const createEditorButton = (text, onClick, className = "goal-adjuster-save") => {
+  const button = document.createElement("button");
+  button.type = onClick ? "button" : "submit";
+  button.className = className;
+  button.textContent = text;
+  button.disabled = isSavingPlanEdit;
+  if (onClick) button.addEventListener("click", onClick);
+  return button;
+};
+
+// Field errors the form has no input for (e.g. growth) are listed with the status.
+const describeUnplacedErrors = (placedKeys) =>
+  planEditErrors
+    .filter((error) => !placedKeys.includes(error.field))
+    .map((error) => `${error.field}: ${error.message}`)
+    .join(" ");
+
+const createStageEditor = (stages) => {
+  const accounts = getPlanAccounts();
+  const isNew = planEditor.index === null;
+  const base = getStageEditorBase(stages);
+  const values = planEditor.draft || base;
+
+  const form = document.createElement("form");
+  form.className = "goal-adjuster";
+  form.noValidate = true;
+
+  const fields = document.createElement("div");
+  fields.className = "goal-adjuster-fields";
+  // Stage messages are written to follow "Stage N", as in validatePlan.
+  const addField = (labelText, input, errorKeys) =>
+    fields.appendChild(createEditorField(labelText, input, errorKeys, "Stage "));
+
+  addField("Name", createEditorInput("text", "name", values.name), ["name"]);
+  addField("From", createEditorInput("month", "from", values.from), ["from"]);
+  addField("To (optional)", createEditorInput("month", "to", values.to), ["to"]);
+  STAGE_EDITOR_FIELDS.forEach(({ name, label }) => {
+    addField(label, createEditorInput("number", name, values[name]), [name]);
+  });
+  accounts.forEach((account) => {
+    const value = getStageSaving(values, account.id);
+    addField(
+      `Saving: ${account.name}`,
+      createEditorInput("number", `saving:${account.id}`, value),
+      [`savings.${account.id}`, `saving_${account.id}`]
+    );
+  });
+  form.appendChild(fields);
+
+  const placedKeys = [
+    "name",
+    "from",
+    "to",
+    ...STAGE_EDITOR_FIELDS.map((field) => field.name),
+    ...accounts.flatMap((account) => [`savings.${account.id}`, `saving_${account.id}`]),
+  ];
+
+  const actions = document.createElement("div");
+  actions.className = "goal-adjuster-actions";
+  const buttons = document.createElement("div");
+  buttons.className = "goal-adjuster-buttons";
+  buttons.appendChild(createEditorButton(isSavingPlanEdit ? "Saving..." : "Save stage"));
+
+  if (!isNew) {
+    const index = planEditor.index;
+    const move = (offset) => {
+      const order = stages.map((_stage, i) => i);
+      [order[index], order[index + offset]] = [order[index + offset], order[index]];
+      sendPlanEdit("PUT", "/api/plan/stages/order", { order }, {
+        kind: "stage",
+        index: index + offset,
+      });
+    };
+    const up = createEditorButton("Move up", () => move(-1), "goal-adjuster-secondary");
+    up.disabled = isSavingPlanEdit || index === 0;
+    const down = createEditorButton("Move down", () => move(1), "goal-adjuster-secondary");
+    down.disabled = isSavingPlanEdit || index === stages.length - 1;
+    buttons.appendChild(up);
+    buttons.appendChild(down);
+
+    // Deleting takes a second click instead of a blocking confirm() dialog.
+    buttons.appendChild(
+      planEditor.confirmDelete
+        ? createEditorButton(
+            "Confirm delete",
+            () => sendPlanEdit("DELETE", `/api/plan/stages/${index}`),
+            "plan-editor-danger"
+          )
+        : createEditorButton(
+            "Delete",
+            () => {
+              planEditor = { ...planEditor, confirmDelete: true };
+              renderCurrentDashboard();
+            },
+            "plan-editor-danger"
+          )
+    );
+  }
+  buttons.appendChild(
+    createEditorButton("Cancel", () => openPlanEditor(null), "goal-adjuster-secondary")
+  );
+  actions.appendChild(buttons);
+
+  const status = document.createElement("div");
+  status.className = "goal-adjuster-status";
+  status.textContent =
+    [planEditStatus, describeUnplacedErrors(placedKeys)].filter(Boolean).join(" ") ||
+    "Amounts are monthly. Other stage settings, such as growth, are kept as they are.";
+  actions.appendChild(status);
+  form.appendChild(actions);
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const draft = collectStageDraft(form, base, accounts);
+    const accountIds = accounts.map((account) => account.id);
+    planEditor = { ...planEditor, draft };
+
+    // Same checks the server runs, so most mistakes never leave the browser.
+    planEditErrors = validateStage(draft, { isKnownAccountId: (id) => accountIds.includes(id) });
+    if (planEditErrors.length > 0) {
+      planEditStatus = "Fix the highlighted fields.";
+      renderCurrentDashboard();
+      return;
+    }
+
+    if (isNew) sendPlanEdit("POST", "/api/plan/stages", { stage: draft });
+    else sendPlanEdit("PUT", `/api/plan/stages/${planEditor.index}`, { stage: draft });
+  });
+
+  return form;
+};
+
+const createGoalEditor = (goal) => {
+  const accounts = getPlanAccounts();
+  const values = planEditor.draft || {
+    target_year: goal?.target_year,
+    targets: Object.fromEntries(accounts.map((account) => [account.id, account.target])),
+  };
+
+  const form = document.createElement("form");
+  form.className = "goal-adjuster";
+  form.noValidate = true;
+
+  const fields = document.createElement("div");
+  fields.className = "goal-adjuster-fields";
+  fields.appendChild(
+    createEditorField(
+      "Target year",
+      createEditorInput("number", "target_year", values.target_year),
+      ["target_year"]
+    )
+  );
+  accounts.forEach((account) => {
+    const input = createEditorInput("number", `target:${account.id}`, values.targets[account.id]);
+    input.min = "0";
+    input.step = "1000";
+    fields.appendChild(
+      createEditorField(`Target: ${account.name}`, input, [`targets.${account.id}`])
+    );
+  });
+  form.appendChild(fields);
+
+  const actions = document.createElement("div");
+  actions.className = "goal-adjuster-actions";
+  const buttons = document.createElement("div");
+  buttons.className = "goal-adjuster-buttons";
+  buttons.appendChild(createEditorButton(isSavingPlanEdit ? "Saving..." : "Save goal"));
+  buttons.appendChild(
+    createEditorButton("Cancel", () => openPlanEditor(null), "goal-adjuster-secondary")
+  );
+  actions.appendChild(buttons);
+
+  const placedKeys = ["target_year", ...accounts.map((account) => `targets.${account.id}`)];
+  const status = document.createElement("div");
+  status.className = "goal-adjuster-status";
+  status.textContent =
+    [planEditStatus, describeUnplacedErrors(placedKeys)].filter(Boolean).join(" ") ||
+    "Targets are nominal amounts due at the end of the target year.";
+  actions.appendChild(status);
+  form.appendChild(actions);
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const data = new FormData(form);
+    const targets = {};
+    accounts.forEach((account) => {
+      const raw = String(data.get(`target:${account.id}`) || "").trim();
+      if (raw !== "") targets[account.id] = Number(raw);
+    });
+    const draft = { target_year: Number(data.get("target_year")), targets };
+    planEditor = { ...planEditor, draft };
+    sendPlanEdit("PUT", "/api/plan/goal", draft);
+  });
+
+  return form;
+};
+
+const createPlanEditor = (goal, stages) => {
+  const panel = document.createElement("section");
+  panel.className = "card plan-editor";
+
+  const title = document.createElement("h2");
+  title.className = "card-title";
+  if (planEditor.kind === "goal") {
+    title.textContent = "Edit goal";
+  } else if (planEditor.index === null) {
+    title.textContent = "Add stage";
+  } else {
+    title.textContent = `Edit stage ${planEditor.index + 1} of ${stages.length}`;
+  }
+  panel.appendChild(title);
+
+  panel.appendChild(
+    planEditor.kind === "goal" ? createGoalEditor(goal) : createStageEditor(stages)
+  );
+  return panel;
+};
+
 const renderValidationErrors = (issues) => {
   if (!app) return;
   app.innerHTML = "";
@@ -302,11 +924,9 @@ const renderValidationErrors = (issues) => {
    Goal state (persisted via local API when available)
    ========================= */
 const goalState = {
-  currentLongterm: 0,
-  currentBuffer: 0,
+  balances: {},
   lastMonthlySavingsAddedYm: null,
-  planSeedLongterm: 0,
-  planSeedBuffer: 0,
+  planSeeds: {},
 };
 
 let stateWarning = "";
@@ -315,48 +935,270 @@ let isSavingCurrentGoal = false;
 let backendCapabilities = {
   checked: false,
   saveCurrentValuesToPlan: false,
+  journal: false,
+  checkins: false,
+  stageEditor: false,
+  revisions: false,
+  transactions: false,
+  liveReload: false,
+};
+
+// ETags of the plan.json and state.json versions this tab last read or wrote. Every
+// write sends them back as If-Match so two tabs cannot silently overwrite each other.
+const documentEtags = { plan: null, state: null };
+
+const rememberEtag = (file, response) => {
+  const etag = response.headers.get("ETag");
+  if (etag) documentEtags[file] = etag;
+};
+
+const ifMatchHeaders = (file, headers = { "Content-Type": "application/json" }) =>
+  documentEtags[file] ? { ...headers, "If-Match": documentEtags[file] } : headers;
+
+const PLAN_CONFLICT_MESSAGE =
+  "plan.json was changed in another tab or window, so the latest version was loaded.";
+
+// Someone else wrote first: start over from what is on disk, replay any month that is
+// due and report whether the result still needs saving.
+const reloadAndReconcile = async () => {
+  const response = await tryFetchPlan();
+  const plan = await response.json();
+  if (validatePlan(plan).length === 0) {
+    cachedPlan = plan;
+    rememberEtag("plan", response);
+  }
+
+  const resolvedState = reconcileGoalState(getPlanAccounts(), await loadState(), new Date(), {
+    stages: getPlanStages(),
+  });
+  applyGoalState(resolvedState);
+  const stages = Array.isArray(cachedPlan.stages) ? cachedPlan.stages : [];
+  return applyMonthlyRolloverIfNeeded(stages) || resolvedState.shouldPersist;
+};
+
+const recoverFromConflict = async () => {
+  if (await reloadAndReconcile()) await saveState();
 };
 
 const loadState = async () => {
   try {
     const res = await fetch("/api/state", { cache: "no-store" });
     if (!res.ok) return null;
+    rememberEtag("state", res);
+    if (stateWarning === OFFLINE_STATE_WARNING) stateWarning = "";
     const data = await res.json();
     if (!data || Object.keys(data).length === 0) return null;
+    await writeOffline("state", { payload: data, etag: documentEtags.state, pending: false });
     return data;
   } catch {
-    return null;
+    // Offline: carry on from the last state this device saw or saved.
+    const stored = await readOffline("state");
+    if (!stored?.payload) return null;
+    documentEtags.state = stored.etag;
+    hasOfflineChanges = hasOfflineChanges || stored.pending;
+    stateWarning = OFFLINE_STATE_WARNING;
+    return stored.payload;
   }
 };
 
-const saveState = async () => {
+const saveState = async ({ retryOnConflict = true } = {}) => {
   const payload = {
-    current_longterm: goalState.currentLongterm,
-    current_buffer: goalState.currentBuffer,
+    balances: goalState.balances,
     last_monthly_savings_added_ym: goalState.lastMonthlySavingsAddedYm,
-    plan_seed_longterm: goalState.planSeedLongterm,
-    plan_seed_buffer: goalState.planSeedBuffer,
+    plan_seeds: goalState.planSeeds,
   };
 
   try {
     const res = await fetch("/api/state", {
       method: "PUT",
-      headers: { "Content-Type": "application/json" },
+      headers: ifMatchHeaders("state"),
       body: JSON.stringify(payload),
     });
+    if (isServerUnreachable(res)) throw new Error("server unreachable");
+    if (res.status === 409 && retryOnConflict) {
+      // Rollovers are replayed from the stored state, so nothing of ours is lost.
+      if (await reloadAndReconcile()) return saveState({ retryOnConflict: false });
+      stateWarning = "";
+      return true;
+    }
     if (!res.ok) {
-      stateWarning = "State not saved (server offline)";
+      stateWarning =
+        res.status === 409
+          ? "State not saved (changed elsewhere)"
+          : "State not saved (server offline)";
       return false;
     }
-    await res.json().catch(() => null);
+    rememberEtag("state", res);
+    const saved = await res.json().catch(() => null);
+    if (saved) {
+      await writeOffline("state", { payload: saved, etag: documentEtags.state, pending: false });
+    }
     stateWarning = "";
+    await flushRolloverJournal();
     return true;
   } catch {
-    stateWarning = "State not saved (server offline)";
+    stateWarning = (await keepStateOffline(payload))
+      ? OFFLINE_STATE_WARNING
+      : "State not saved (server offline)";
     return false;
   }
 };
 
+// Rolled-over months wait here until the state that includes them has been saved.
+let pendingRolloverEntries = [];
+
+const flushRolloverJournal = async () => {
+  if (!backendCapabilities.journal || pendingRolloverEntries.length === 0) return;
+  const entries = pendingRolloverEntries;
+  pendingRolloverEntries = [];
+
+  try {
+    const res = await fetch("/api/journal", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ entries }),
+    });
+    if (!res.ok) throw new Error("journal failed");
+  } catch {
+    pendingRolloverEntries = [...entries, ...pendingRolloverEntries];
+  }
+};
+
+/* =========================
+   Offline: IndexedDB keeps the last state.json this device saw and every save made while
+   the server was unreachable, so they survive a reload and are sent once it is back.
+   Keys: "state" ({ payload, etag, pending }), "balance_saves" and "rollover_entries".
+   ========================= */
+const OFFLINE_DB_NAME = "luke-finance";
+const OFFLINE_STORE = "offline";
+const OFFLINE_STATE_WARNING = "Offline: changes are kept on this device until the server is back";
+const OFFLINE_CONFLICT_MESSAGE =
+  "The balances changed on the server while this device was offline, so a change made " +
+  "offline was not applied. Check the balances and save again.";
+
+let offlineDb = null;
+let hasOfflineChanges = false;
+
+// A proxy in front of a stopped server answers with one of these instead of failing.
+const isServerUnreachable = (response) => [502, 503, 504].includes(response.status);
+
+const openOfflineDb = () => {
+  if (!offlineDb) {
+    offlineDb = new Promise((resolve) => {
+      try {
+        const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(OFFLINE_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+  return offlineDb;
+};
+
+const readOffline = async (key) => {
+  const db = await openOfflineDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    const request = db.transaction(OFFLINE_STORE).objectStore(OFFLINE_STORE).get(key);
+    request.onsuccess = () => resolve(request.result ?? null);
+    request.onerror = () => resolve(null);
+  });
+};
+
+// Resolves to false when this browser cannot store anything (no IndexedDB, private mode).
+const writeOffline = async (key, value) => {
+  const db = await openOfflineDb();
+  if (!db) return false;
+  return new Promise((resolve) => {
+    const transaction = db.transaction(OFFLINE_STORE, "readwrite");
+    transaction.objectStore(OFFLINE_STORE).put(value, key);
+    transaction.oncomplete = () => resolve(true);
+    transaction.onerror = () => resolve(false);
+    transaction.onabort = () => resolve(false);
+  });
+};
+
+// Rolled-over months go with the state, so the journal gets them when it is sent.
+const keepStateOffline = async (payload) => {
+  const entries = [...((await readOffline("rollover_entries")) || []), ...pendingRolloverEntries];
+  const kept =
+    (await writeOffline("state", { payload, etag: documentEtags.state, pending: true })) &&
+    (await writeOffline("rollover_entries", entries));
+  if (!kept) return false;
+  pendingRolloverEntries = [];
+  hasOfflineChanges = true;
+  return true;
+};
+
+// Balance saves still waiting for the server, applied to this device's copy of the plan.
+const applyQueuedBalanceSaves = async (plan) => {
+  const saves = (await readOffline("balance_saves")) || [];
+  return saves.reduce((current, save) => {
+    const result = applyBalanceChanges(current, save.body.balances);
+    return result.error ? current : result.plan;
+  }, plan);
+};
+
+const queuedWriteHeaders = (etag, headers = { "Content-Type": "application/json" }) =>
+  etag ? { ...headers, "If-Match": etag } : headers;
+
+// Sends what was saved offline, oldest first. Queued saves all started from the same
+// plan.json, so each one after the first is sent against the version the previous one
+// wrote. A save whose plan.json changed on the server in the meantime is dropped, and a
+// state.json that changed there wins over ours; the months are replayed from it. Throws
+// while the server is unreachable, leaving the rest queued.
+const replayOfflineChanges = async () => {
+  const saves = (await readOffline("balance_saves")) || [];
+  let replacedEtag = null;
+  let writtenEtag = null;
+  while (saves.length > 0) {
+    const save = saves[0];
+    const etag = save.etag === replacedEtag ? writtenEtag : save.etag;
+    const res = await fetch("/api/plan/current-values", {
+      method: "PUT",
+      headers: queuedWriteHeaders(etag),
+      body: JSON.stringify(save.body),
+    });
+    if (isServerUnreachable(res)) throw new Error("server unreachable");
+    if (res.ok) {
+      replacedEtag = save.etag;
+      writtenEtag = res.headers.get("ETag");
+    } else {
+      currentGoalSaveStatus = OFFLINE_CONFLICT_MESSAGE;
+    }
+    saves.shift();
+    await writeOffline("balance_saves", saves);
+  }
+
+  const stored = await readOffline("state");
+  if (stored?.pending) {
+    const res = await fetch("/api/state", {
+      method: "PUT",
+      headers: queuedWriteHeaders(stored.etag),
+      body: JSON.stringify(stored.payload),
+    });
+    if (isServerUnreachable(res)) throw new Error("server unreachable");
+    if (!res.ok) {
+      // state.json changed on the server meanwhile; its copy wins over this device's.
+      currentGoalSaveStatus = OFFLINE_CONFLICT_MESSAGE;
+      await loadState();
+    }
+    const latest = (await readOffline("state")) || stored;
+    await writeOffline("state", { ...latest, pending: false });
+  }
+
+  const entries = (await readOffline("rollover_entries")) || [];
+  if (entries.length > 0) {
+    pendingRolloverEntries = [...entries, ...pendingRolloverEntries];
+    await writeOffline("rollover_entries", []);
+    await flushRolloverJournal();
+  }
+  hasOfflineChanges = false;
+};
+
 const loadBackendCapabilities = async () => {
   try {
     const response = await fetch("/api/meta", { cache: "no-store" });
@@ -365,82 +1207,184 @@ const loadBackendCapabilities = async () => {
     backendCapabilities = {
       checked: true,
       saveCurrentValuesToPlan: Boolean(data?.capabilities?.save_current_values_to_plan),
+      journal: Boolean(data?.capabilities?.journal),
+      checkins: Boolean(data?.capabilities?.checkins),
+      stageEditor: Boolean(data?.capabilities?.stage_editor),
+      revisions: Boolean(data?.capabilities?.revisions),
+      transactions: Boolean(data?.capabilities?.transactions) && Boolean(importCore),
+      liveReload: Boolean(data?.capabilities?.live_reload),
     };
   } catch {
     backendCapabilities = {
       checked: true,
       saveCurrentValuesToPlan: false,
+      journal: false,
+      checkins: false,
+      stageEditor: false,
+      revisions: false,
+      transactions: false,
+      liveReload: false,
     };
   }
 };
 
 const applyGoalState = (nextState) => {
-  goalState.currentLongterm = nextState.currentLongterm;
-  goalState.currentBuffer = nextState.currentBuffer;
+  goalState.balances = { ...nextState.balances };
   goalState.lastMonthlySavingsAddedYm = nextState.lastMonthlySavingsAddedYm;
-  goalState.planSeedLongterm = nextState.planSeedLongterm;
-  goalState.planSeedBuffer = nextState.planSeedBuffer;
+  goalState.planSeeds = { ...nextState.planSeeds };
 };
 
 const snapshotGoalState = () => ({
-  currentLongterm: goalState.currentLongterm,
-  currentBuffer: goalState.currentBuffer,
+  balances: { ...goalState.balances },
   lastMonthlySavingsAddedYm: goalState.lastMonthlySavingsAddedYm,
-  planSeedLongterm: goalState.planSeedLongterm,
-  planSeedBuffer: goalState.planSeedBuffer,
+  planSeeds: { ...goalState.planSeeds },
 });
 
+const getReturnAssumptions = () => resolveReturnAssumptions(cachedPlan);
+
+const getPlanAccounts = () => resolveAccounts(cachedPlan);
+
+const getPlanEvents = () => (Array.isArray(cachedPlan?.events) ? cachedPlan.events : []);
+
+const getPlanStages = () => (Array.isArray(cachedPlan?.stages) ? cachedPlan.stages : []);
+
 const applyMonthlyRolloverIfNeeded = (stages) => {
-  // Persisted state tracks the latest fully completed month already folded into the
-  // current balances. On each rollover we only add months that finished since then.
-  const result = rollGoalStateForward(snapshotGoalState(), stages, new Date());
+  // Persisted state tracks the latest month whose savings are already folded into the
+  // current balances. On each rollover we only add months whose savings landed since then.
+  const result = rollGoalStateForward(snapshotGoalState(), stages, new Date(), {
+    accounts: getPlanAccounts(),
+    events: getPlanEvents(),
+  });
   applyGoalState(result.state);
+  pendingRolloverEntries.push(
+    ...result.months.map((month) => ({
+      type: "rollover",
+      month: month.month,
+      stage: month.stage,
+      credited: month.credited,
+      growth: month.growth,
+      balances: month.balances,
+    }))
+  );
   return result.changed;
 };
 
 /* =========================
-   Hero with TWO bars:
+   Hero with one bar per account:
    - LT: thick, yellow gradient (inline style)
-   - Buffer: thin, blue
-   Meta: LT % main, buffer % secondary
+   - Buffer and named accounts: thin, palette colors
+   Meta: LT % main, other accounts secondary
    ========================= */
 let liveCountdownUpdater = null;
 let displayMode = "monthly";
+let valueMode = "nominal";
 let activeGoalPanel = null;
 
-const sensitivityScenarios = [
-  { label: "Low", rate: 0.04 },
-  { label: "Base", rate: 0.08 },
-  { label: "High", rate: 0.12 },
-];
+const getInflationRate = () => safeNumber(cachedPlan?.assumptions?.inflation) ?? 0;
+
+const getActiveInflationRate = () => (valueMode === "real" ? getInflationRate() : 0);
+
+// Nominal amounts at `date` shown in today's kronor when real mode is on.
+const toDisplayAmount = (amount, date, now = getNow()) =>
+  deflateAmount(amount, date, { inflationRate: getActiveInflationRate(), baseDate: now });
 
 const formatProjectionSummary = (projection) => {
   if (!projection.reached || !projection.date) return "Not enough data";
   return projection.date.toLocaleDateString("sv-SE");
 };
 
-const saveCurrentGoalValues = async ({ currentLongterm, currentBuffer }) => {
-  if (!cachedPlan) return;
-  if (!backendCapabilities.saveCurrentValuesToPlan) {
-    currentGoalSaveStatus =
-      "This server needs a restart before the current-balances editor can save into plan.json.";
-    renderCurrentDashboard();
-    return;
-  }
+const defaultMonteCarloSettings = {
+  volatility: 0.15,
+  runs: 2000,
+  seed: 1,
+};
 
-  isSavingCurrentGoal = true;
-  currentGoalSaveStatus = "";
-  renderCurrentDashboard();
+const getMonteCarloSettings = () => {
+  const config = cachedPlan?.assumptions?.monte_carlo || {};
+  return {
+    expectedReturn: safeNumber(config.expected_return) ?? getReturnAssumptions().longterm,
+    volatility: safeNumber(config.volatility) ?? defaultMonteCarloSettings.volatility,
+    runs: Number.isInteger(config.runs) ? config.runs : defaultMonteCarloSettings.runs,
+    seed: Number.isInteger(config.seed) ? config.seed : defaultMonteCarloSettings.seed,
+  };
+};
+
+// The Monte Carlo settings describe the long-term pot; named accounts only
+// fluctuate when they set their own volatility in plan.json.
+const getMonteCarloAccounts = (accounts) => {
+  const settings = getMonteCarloSettings();
+  return accounts.map((account) =>
+    account.id === "longterm"
+      ? {
+          ...account,
+          annualRate: settings.expectedReturn,
+          volatility: account.volatility ?? settings.volatility,
+        }
+      : account
+  );
+};
+
+// The simulation is the slowest part of a render, and most renders (panel toggles, form
+// edits) do not change its inputs, so the last result is kept until one of them does.
+// Its dates only move with the day, so `now` is keyed by day.
+let goalSimulationCache = { key: null, result: null };
+
+const simulateGoalDatesCached = ({ now, ...input }) => {
+  const key = JSON.stringify({ ...input, day: formatDay(now) });
+  if (goalSimulationCache.key !== key) {
+    goalSimulationCache = { key, result: simulateGoalDates({ ...input, now }) };
+  }
+  return goalSimulationCache.result;
+};
+
+const formatProbability = (value) =>
+  typeof value === "number" ? `${Math.round(value * 100)}%` : "N/A";
+
+const formatMonteCarloBands = (simulation) => {
+  if (!simulation?.percentiles) return "Monte Carlo: Not enough data";
+  const { p10, p50, p90 } = simulation.percentiles;
+  const byTarget =
+    typeof simulation.targetYear === "number"
+      ? `  •  ${formatProbability(simulation.probabilityByTargetYear)} by ${simulation.targetYear}`
+      : "";
+  return (
+    `P10 ${formatProjectionSummary(p10)}` +
+    `  •  P50 ${formatProjectionSummary(p50)}` +
+    `  •  P90 ${formatProjectionSummary(p90)}` +
+    byTarget
+  );
+};
+
+const saveCurrentGoalValues = async (balances, note = "") => {
+  if (!cachedPlan) return;
+  if (!backendCapabilities.saveCurrentValuesToPlan) {
+    currentGoalSaveStatus =
+      "This server needs a restart before the current-balances editor can save into plan.json.";
+    renderCurrentDashboard();
+    return;
+  }
+
+  isSavingCurrentGoal = true;
+  currentGoalSaveStatus = "";
+  renderCurrentDashboard();
 
   try {
+    const body = { balances, previous_balances: goalState.balances, note };
     const response = await fetch("/api/plan/current-values", {
       method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        current_longterm: currentLongterm,
-        current_buffer: currentBuffer,
-      }),
-    });
+      headers: ifMatchHeaders("plan"),
+      body: JSON.stringify(body),
+    }).catch(() => null);
+
+    if (!response || isServerUnreachable(response)) {
+      await saveBalancesOffline(body);
+      return;
+    }
+
+    if (response.status === 409) {
+      await recoverFromConflict();
+      throw new Error(`${PLAN_CONFLICT_MESSAGE} Check the balances and save again.`);
+    }
 
     if (!response.ok) {
       let detail =
@@ -454,19 +1398,26 @@ const saveCurrentGoalValues = async ({ currentLongterm, currentBuffer }) => {
       throw new Error(detail);
     }
 
+    rememberEtag("plan", response);
     const data = await response.json();
     cachedPlan.goal = {
       ...(cachedPlan.goal || {}),
       ...(data.goal || {}),
     };
+    if (Array.isArray(data.accounts)) {
+      cachedPlan.accounts = data.accounts;
+    }
 
     // Manual edits become the new source-of-truth seed. We reseed the rollover
     // snapshot immediately so the app does not need a restart and future month
     // closings continue from the right base balances.
-    const resolvedState = reconcileGoalState(cachedPlan.goal, null, new Date());
+    const resolvedState = reconcileGoalState(getPlanAccounts(), null, new Date(), {
+      stages: getPlanStages(),
+    });
     applyGoalState(resolvedState);
 
     const stateSaved = await saveState();
+    journalEntries = null;
     currentGoalSaveStatus = stateSaved
       ? "Saved current balances to plan.json."
       : "Saved to plan.json, but the rollover snapshot could not be saved.";
@@ -478,8 +1429,227 @@ const saveCurrentGoalValues = async ({ currentLongterm, currentBuffer }) => {
   }
 };
 
+// Without the server the save goes into this tab's copy of the plan and waits in IndexedDB.
+const saveBalancesOffline = async (body) => {
+  const result = applyBalanceChanges(cachedPlan, body.balances, {
+    previousBalances: body.previous_balances,
+    note: body.note,
+  });
+  if (result.error) throw new Error(result.error);
+
+  const saves = (await readOffline("balance_saves")) || [];
+  if (!(await writeOffline("balance_saves", [...saves, { body, etag: documentEtags.plan }]))) {
+    throw new Error("The server is offline and this browser cannot keep the change");
+  }
+  hasOfflineChanges = true;
+  cachedPlan = result.plan;
+  applyGoalState(
+    reconcileGoalState(getPlanAccounts(), null, new Date(), { stages: getPlanStages() })
+  );
+  await saveState();
+  currentGoalSaveStatus =
+    "Saved on this device. It is written to plan.json when the server is back.";
+};
+
+// The server restores plan.json and state.json from before the last balance save.
+const undoLastBalanceSave = async () => {
+  isSavingCurrentGoal = true;
+  currentGoalSaveStatus = "";
+  renderCurrentDashboard();
+
+  try {
+    const response = await fetch("/api/plan/current-values/undo", {
+      method: "POST",
+      headers: ifMatchHeaders("plan", {}),
+    });
+    if (response.status === 409) {
+      await recoverFromConflict();
+      throw new Error(`${PLAN_CONFLICT_MESSAGE} Check it before undoing again.`);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new Error(data?.error || "Could not undo the last save");
+
+    Object.assign(documentEtags, data.etags);
+    cachedPlan = data.plan;
+    const resolvedState = reconcileGoalState(getPlanAccounts(), data.state, new Date(), {
+      stages: getPlanStages(),
+    });
+    applyGoalState(resolvedState);
+    const stages = Array.isArray(cachedPlan.stages) ? cachedPlan.stages : [];
+    const rolledOver = applyMonthlyRolloverIfNeeded(stages);
+    if (resolvedState.shouldPersist || rolledOver) await saveState();
+
+    journalEntries = null;
+    currentGoalSaveStatus = "Restored the balances from before the last save.";
+  } catch (err) {
+    currentGoalSaveStatus = `Undo failed: ${err.message}`;
+  } finally {
+    isSavingCurrentGoal = false;
+    renderCurrentDashboard();
+  }
+};
+
+let journalEntries = null;
+let journalFilter = { type: "", account: "" };
+let isLoadingJournal = false;
+let journalStatus = "";
+
+const loadJournal = async () => {
+  isLoadingJournal = true;
+  journalStatus = "";
+  const params = new URLSearchParams({ limit: "50" });
+  if (journalFilter.type) params.set("type", journalFilter.type);
+  if (journalFilter.account) params.set("account", journalFilter.account);
+
+  try {
+    const res = await fetch(`/api/journal?${params}`, { cache: "no-store" });
+    if (!res.ok) throw new Error("journal failed");
+    const data = await res.json();
+    journalEntries = Array.isArray(data?.entries) ? data.entries : [];
+    if (data?.total > journalEntries.length) {
+      journalStatus = `Showing the latest ${journalEntries.length} of ${data.total} entries.`;
+    }
+  } catch {
+    journalEntries = [];
+    journalStatus = "Could not load the journal.";
+  } finally {
+    isLoadingJournal = false;
+    renderCurrentDashboard();
+  }
+};
+
+let checkins = null;
+let isSavingCheckin = false;
+let checkinStatus = "";
+
+const loadCheckins = async () => {
+  try {
+    const res = await fetch("/api/checkins", { cache: "no-store" });
+    if (!res.ok) throw new Error("check-ins failed");
+    const data = await res.json();
+    checkins = Array.isArray(data?.checkins) ? data.checkins : [];
+  } catch {
+    checkins = [];
+    checkinStatus = "Could not load check-ins.";
+  } finally {
+    renderCurrentDashboard();
+  }
+};
+
+const saveCheckin = async (checkin) => {
+  isSavingCheckin = true;
+  checkinStatus = "";
+  renderCurrentDashboard();
+
+  try {
+    const res = await fetch("/api/checkins", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(checkin),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) throw new Error(data?.error || "Could not save the check-in");
+    checkins = [...(checkins || []), data];
+    checkinStatus = `Recorded balances for ${data.month}.`;
+  } catch (err) {
+    checkinStatus = `Save failed: ${err.message}`;
+  } finally {
+    isSavingCheckin = false;
+    renderCurrentDashboard();
+  }
+};
+
+let transactions = null;
+let isImportingTransactions = false;
+let transactionStatus = "";
+let transactionImportBank = "swedbank";
+
+const loadTransactions = async () => {
+  try {
+    const res = await fetch("/api/transactions", { cache: "no-store" });
+    if (!res.ok) throw new Error("transactions failed");
+    const data = await res.json();
+    transactions = Array.isArray(data?.transactions) ? data.transactions : [];
+  } catch {
+    transactions = [];
+    transactionStatus = "Could not load transactions.";
+  } finally {
+    renderCurrentDashboard();
+  }
+};
+
+const importTransactions = async (payload) => {
+  isImportingTransactions = true;
+  transactionStatus = "";
+  renderCurrentDashboard();
+
+  try {
+    const res = await fetch("/api/transactions/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    const data = await res.json().catch(() => null);
+    if (!res.ok) {
+      const firstError = data?.errors?.[0];
+      const detail = firstError ? ` (line ${firstError.line}: ${firstError.message})` : "";
+      throw new Error(`${data?.error || "Could not import the file"}${detail}`);
+    }
+
+    const skipped = data.error_count > 0 ? `, ${data.error_count} unreadable rows skipped` : "";
+    transactionStatus =
+      `Imported ${data.added} transactions from ${data.from} to ${data.to}` +
+      ` (${data.duplicates} already imported${skipped}).`;
+    await loadTransactions();
+  } catch (err) {
+    transactionStatus = `Import failed: ${err.message}`;
+  } finally {
+    isImportingTransactions = false;
+    renderCurrentDashboard();
+  }
+};
+
+const getMonthlyActuals = () =>
+  importCore && Array.isArray(transactions)
+    ? importCore.summarizeMonthlyActuals(transactions, cachedPlan?.transaction_rules)
+    : [];
+
+const getPlannedOut = (stages, yearMonth) => {
+  const stage = findStageForYearMonth(stages, yearMonth);
+  const fixedCosts = safeNumber(stage?.fixed_costs);
+  const household = safeNumber(stage?.household);
+  return typeof fixedCosts === "number" && typeof household === "number"
+    ? fixedCosts + household
+    : null;
+};
+
+// The latest complete month of actuals that falls inside the active stage.
+const getLatestStageActuals = (stages, stage, yearMonth) => {
+  if (!stage) return null;
+  const row = getMonthlyActuals()
+    .filter((item) => item.month < yearMonth && item.month >= stage.from)
+    .filter((item) => !stage.to || item.month <= stage.to)
+    .pop();
+  if (!row) return null;
+  return {
+    ...row,
+    out: row.fixed_costs + row.household,
+    plannedOut: getPlannedOut(stages, row.month),
+  };
+};
+
 const toggleGoalPanel = (panelName) => {
   activeGoalPanel = activeGoalPanel === panelName ? null : panelName;
+  if (activeGoalPanel === "history" && journalEntries === null && !isLoadingJournal) {
+    loadJournal();
+  }
+  if (activeGoalPanel === "checkins" && checkins === null) {
+    loadCheckins();
+  }
+  if (activeGoalPanel === "transactions" && transactions === null) {
+    loadTransactions();
+  }
   renderCurrentDashboard();
 };
 
@@ -518,29 +1688,58 @@ const createCurrentBalancesEditor = () => {
     return label;
   };
 
-  fields.appendChild(
-    createField("Long-term", "current_longterm", goalState.currentLongterm ?? 0)
-  );
-  fields.appendChild(createField("Buffer", "current_buffer", goalState.currentBuffer ?? 0));
+  const accounts = getPlanAccounts();
+  accounts.forEach((account) => {
+    fields.appendChild(createField(account.name, account.id, goalState.balances[account.id] ?? 0));
+  });
   form.appendChild(fields);
 
+  const noteField = document.createElement("label");
+  noteField.className = "goal-adjuster-field";
+  noteField.innerHTML = '<span class="goal-adjuster-label">Note for the journal</span>';
+  const noteInput = document.createElement("input");
+  noteInput.className = "goal-adjuster-input";
+  noteInput.type = "text";
+  noteInput.name = "note";
+  noteInput.maxLength = 200;
+  noteInput.placeholder = "e.g. Moved bonus to Long-term";
+  noteField.appendChild(noteInput);
+  form.appendChild(noteField);
+
   const actions = document.createElement("div");
   actions.className = "goal-adjuster-actions";
 
   const saveButton = document.createElement("button");
   saveButton.type = "submit";
   saveButton.className = "goal-adjuster-save";
-  saveButton.disabled = isSavingCurrentGoal || !backendCapabilities.saveCurrentValuesToPlan;
+  saveButton.disabled =
+    isSavingCurrentGoal || !backendCapabilities.saveCurrentValuesToPlan || isPreview();
   saveButton.textContent = isSavingCurrentGoal ? "Saving..." : "Save balances";
-  actions.appendChild(saveButton);
+
+  if (backendCapabilities.revisions) {
+    const buttons = document.createElement("div");
+    buttons.className = "goal-adjuster-buttons";
+    const undoButton = document.createElement("button");
+    undoButton.type = "button";
+    undoButton.className = "goal-adjuster-secondary";
+    undoButton.disabled = isSavingCurrentGoal || isPreview();
+    undoButton.textContent = "Undo last save";
+    undoButton.addEventListener("click", undoLastBalanceSave);
+    buttons.appendChild(saveButton);
+    buttons.appendChild(undoButton);
+    actions.appendChild(buttons);
+  } else {
+    actions.appendChild(saveButton);
+  }
 
   const status = document.createElement("div");
   status.className = "goal-adjuster-status";
-  status.textContent =
-    currentGoalSaveStatus ||
-    (!backendCapabilities.saveCurrentValuesToPlan
-      ? "Backend needs restart before this editor can write to plan.json."
-      : formatSavingsAppliedStatus(goalState.lastMonthlySavingsAddedYm));
+  status.textContent = isPreview()
+    ? `Showing ${formatDay(asOfDate)}. Go back to today to save balances.`
+    : currentGoalSaveStatus ||
+      (!backendCapabilities.saveCurrentValuesToPlan
+        ? "Backend needs restart before this editor can write to plan.json."
+        : formatSavingsAppliedStatus(goalState.lastMonthlySavingsAddedYm));
   actions.appendChild(status);
 
   form.appendChild(actions);
@@ -548,36 +1747,88 @@ const createCurrentBalancesEditor = () => {
   form.addEventListener("submit", (event) => {
     event.preventDefault();
     const data = new FormData(form);
-    const nextLongterm = Number(data.get("current_longterm"));
-    const nextBuffer = Number(data.get("current_buffer"));
-
-    saveCurrentGoalValues({
-      currentLongterm: Number.isFinite(nextLongterm) ? nextLongterm : 0,
-      currentBuffer: Number.isFinite(nextBuffer) ? nextBuffer : 0,
+    const balances = {};
+    accounts.forEach((account) => {
+      const value = Number(data.get(account.id));
+      balances[account.id] = Number.isFinite(value) ? value : 0;
     });
+
+    saveCurrentGoalValues(balances, String(data.get("note") || ""));
   });
 
   return form;
 };
 
-const createSensitivityPanel = (goal, stages) => {
+const createMonteCarloSection = (simulation) => {
+  const section = document.createElement("div");
+  section.className = "sensitivity";
+
+  const settings = getMonteCarloSettings();
+  const subtitle = document.createElement("div");
+  subtitle.className = "sensitivity-subtitle";
+  subtitle.innerHTML = `<strong>Monte Carlo (${SEK(simulation?.runs || 0)} runs)</strong>
+Simulated returns averaging ${(settings.expectedReturn * 100).toFixed(1)}% with ${(
+    settings.volatility * 100
+  ).toFixed(1)}% annual volatility.`;
+  section.appendChild(subtitle);
+
+  const grid = document.createElement("div");
+  grid.className = "sensitivity-grid is-bands";
+
+  const percentiles = simulation?.percentiles;
+  const cards = [
+    { label: "P10", caption: "Optimistic", projection: percentiles?.p10 },
+    { label: "P50", caption: "Median", projection: percentiles?.p50 },
+    { label: "P90", caption: "Cautious", projection: percentiles?.p90 },
+  ];
+
+  cards.forEach((item) => {
+    const card = document.createElement("div");
+    card.className = "sensitivity-card";
+    card.innerHTML = `
+      <div class="sensitivity-label">${item.label}</div>
+      <div class="sensitivity-rate">${item.caption}</div>
+      <div class="sensitivity-date">${
+        item.projection ? formatProjectionSummary(item.projection) : "Not enough data"
+      }</div>
+    `;
+    grid.appendChild(card);
+  });
+
+  const probabilityCard = document.createElement("div");
+  probabilityCard.className = "sensitivity-card";
+  probabilityCard.innerHTML = `
+    <div class="sensitivity-label">Chance</div>
+    <div class="sensitivity-rate">By ${simulation?.targetYear ?? "target year"}</div>
+    <div class="sensitivity-date">${formatProbability(simulation?.probabilityByTargetYear)}</div>
+  `;
+  grid.appendChild(probabilityCard);
+
+  section.appendChild(grid);
+  return section;
+};
+
+const createSensitivityPanel = (goal, stages, simulation) => {
   const panel = document.createElement("section");
   panel.className = "sensitivity";
 
-  const now = new Date();
+  const now = getNow();
+  const returns = getReturnAssumptions();
   const currentYm = getCurrentYearMonth(now);
   const currentStage = findStageForYearMonth(stages, currentYm);
-  const currentLongtermSaving = safeNumber(currentStage?.saving_longterm);
+  const currentLongtermSaving = getStageSaving(currentStage, "longterm");
   const currentLongtermText =
     typeof currentLongtermSaving === "number"
       ? `${SEK(currentLongtermSaving)}/month`
       : "the current stage's monthly Long-term amount";
+  const accounts = getPlanAccounts();
   const baseProjection = projectGoalDate({
     stages,
     goal,
-    currentLongterm: goalState.currentLongterm,
-    currentBuffer: goalState.currentBuffer,
-    annualRate: 0.08,
+    accounts,
+    balances: goalState.balances,
+    events: getPlanEvents(),
+    inflationRate: getActiveInflationRate(),
     now,
   });
   const latestStageEnd = getLatestStageEndInfo(stages);
@@ -586,7 +1837,9 @@ const createSensitivityPanel = (goal, stages) => {
   subtitle.className = "sensitivity-subtitle";
   subtitle.innerHTML = baseProjection.reached && baseProjection.date
     ? `<strong>Projection based on your current savings plan</strong>
-This estimate assumes you continue saving according to your plan with an annual return of 8%.
+This estimate assumes you continue saving according to your plan with an annual return of ${formatRate(returns.longterm)}${
+        valueMode === "real" ? ", measured in today's money" : ""
+      }.
 
 <strong>Estimated goal date:</strong> ${baseProjection.date.toLocaleDateString("sv-SE")}
 
@@ -612,31 +1865,706 @@ This estimate assumes you continue saving according to your plan with an annual
   const grid = document.createElement("div");
   grid.className = "sensitivity-grid";
 
-  sensitivityScenarios.forEach((scenario) => {
+  returns.scenarios.forEach((scenario) => {
     const projection = projectGoalDate({
       stages,
       goal,
-      currentLongterm: goalState.currentLongterm,
-      currentBuffer: goalState.currentBuffer,
-      annualRate: scenario.rate,
-      now: new Date(),
+      accounts: applyScenarioRates(accounts, scenario),
+      balances: goalState.balances,
+      events: getPlanEvents(),
+      inflationRate: getActiveInflationRate(),
+      now: getNow(),
     });
 
     const card = document.createElement("div");
     card.className = "sensitivity-card";
     card.innerHTML = `
       <div class="sensitivity-label">${scenario.label}</div>
-      <div class="sensitivity-rate">${(scenario.rate * 100).toFixed(0)}% annual</div>
+      <div class="sensitivity-rate">${formatRate(scenario.longterm)} annual</div>
       <div class="sensitivity-date">${formatProjectionSummary(projection)}</div>
     `;
     grid.appendChild(card);
   });
 
+  panel.appendChild(grid);
+  panel.appendChild(createMonteCarloSection(simulation));
+  return panel;
+};
+
+const createGapToTargetPanel = (goal, stages) => {
+  const panel = document.createElement("section");
+  panel.className = "sensitivity";
+
+  const now = getNow();
+  const longterm = getPlanAccounts().find((account) => account.id === "longterm");
+  const solution = longterm
+    ? solveRequiredSavings({
+        stages,
+        goal,
+        account: longterm,
+        balance: goalState.balances.longterm ?? 0,
+        events: getPlanEvents(),
+        now,
+      })
+    : null;
+
+  const subtitle = document.createElement("div");
+  subtitle.className = "sensitivity-subtitle";
+  panel.appendChild(subtitle);
+
+  if (!solution) {
+    subtitle.innerHTML = `<strong>Gap to target</strong>
+Set a Long-term target and goal.target_year to see what it takes to get there.`;
+    return panel;
+  }
+
+  const targetYear = solution.deadline.getFullYear() - 1;
+  const atDeadline = (amount) => SEK(toDisplayAmount(amount, solution.deadline, now));
+  subtitle.innerHTML = `<strong>Gap to target by the end of ${targetYear}</strong>
+What it takes for Long-term to reach ${atDeadline(solution.target)} with ${
+    solution.months
+  } months of saving left, at ${formatRate(longterm.annualRate)} annual return.`;
+
+  const extraText =
+    solution.extraMonthlySaving === null
+      ? "Out of reach"
+      : solution.extraMonthlySaving > 0
+        ? `+${SEK(Math.ceil(solution.extraMonthlySaving))}/month`
+        : "On track";
+  const rateText =
+    solution.requiredAnnualRate === null
+      ? "Above 100%"
+      : `${formatRate(solution.requiredAnnualRate)} annual`;
+
+  const grid = document.createElement("div");
+  grid.className = "sensitivity-grid";
+
+  const cards = [
+    {
+      label: "Extra saving",
+      caption: `On top of the plan at ${formatRate(longterm.annualRate)}`,
+      value: extraText,
+    },
+    { label: "Required return", caption: "With planned savings only", value: rateText },
+    {
+      label: "Projected",
+      caption: `Dec ${targetYear} vs ${atDeadline(solution.target)}`,
+      value:
+        solution.shortfall > 0
+          ? `${atDeadline(solution.projectedBalance)} (−${atDeadline(solution.shortfall)})`
+          : atDeadline(solution.projectedBalance),
+    },
+  ];
+
+  cards.forEach((item) => {
+    const card = document.createElement("div");
+    card.className = "sensitivity-card";
+    card.innerHTML = `
+      <div class="sensitivity-label">${item.label}</div>
+      <div class="sensitivity-rate">${item.caption}</div>
+      <div class="sensitivity-date">${item.value}</div>
+    `;
+    grid.appendChild(card);
+  });
+
   panel.appendChild(grid);
   return panel;
 };
 
-const createGoalPanelToggle = (goal, stages) => {
+const formatDuration = (months) => {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  if (years === 0) return `${rest} months`;
+  return rest === 0 ? `${years} years` : `${years} years ${rest} months`;
+};
+
+const createRetirementPanel = (stages) => {
+  const panel = document.createElement("section");
+  panel.className = "sensitivity";
+
+  const now = getNow();
+  const retirement = cachedPlan?.retirement;
+  const accountId = retirement?.account || "longterm";
+  const account = getPlanAccounts().find((item) => item.id === accountId);
+  const result = simulateDecumulation({
+    stages,
+    retirement,
+    account,
+    balance: goalState.balances[accountId] ?? 0,
+    events: getPlanEvents(),
+    now,
+  });
+
+  const subtitle = document.createElement("div");
+  subtitle.className = "sensitivity-subtitle";
+  panel.appendChild(subtitle);
+
+  if (!result) {
+    subtitle.innerHTML = `<strong>Retirement</strong>
+Add a retirement block to plan.json to see what the savings can pay out.`;
+    return panel;
+  }
+
+  const atStart = (amount) => SEK(toDisplayAmount(amount, result.startDate, now));
+  const startYm = getCurrentYearMonth(result.startDate);
+  const growth = formatRate(result.annualReturn);
+  subtitle.innerHTML = `<strong>Withdrawals from ${account.name}</strong>
+Saving stops in ${startYm}; the balance keeps growing at ${growth} a year while paying out${
+    valueMode === "real" ? " (shown in today's money as of the start)" : ""
+  }.`;
+
+  const grid = document.createElement("div");
+  grid.className = "sensitivity-grid is-bands";
+
+  const cards = [
+    {
+      label: "Start",
+      caption: startYm,
+      value: atStart(result.startBalance),
+    },
+    {
+      label: "Sustainable",
+      caption: "Keeps the capital intact",
+      value: `${atStart(result.sustainableMonthlyDraw)}/month`,
+    },
+    {
+      label: "Planned draw",
+      caption:
+        typeof retirement.withdrawal_rate === "number"
+          ? `${formatRate(retirement.withdrawal_rate)} of the start balance a year`
+          : "Fixed amount",
+      value: `${atStart(result.monthlyDraw)}/month`,
+    },
+    {
+      label: "Lasts",
+      caption: result.depletedAt
+        ? `Runs out ${getCurrentYearMonth(result.depletedAt)}`
+        : "At the planned draw",
+      value:
+        result.monthsLasting === null ? "100+ years" : formatDuration(result.monthsLasting),
+    },
+  ];
+
+  cards.forEach((item) => {
+    const card = document.createElement("div");
+    card.className = "sensitivity-card";
+    card.innerHTML = `
+      <div class="sensitivity-label">${item.label}</div>
+      <div class="sensitivity-rate">${item.caption}</div>
+      <div class="sensitivity-date">${item.value}</div>
+    `;
+    grid.appendChild(card);
+  });
+
+  panel.appendChild(grid);
+  return panel;
+};
+
+const formatSignedAmount = (amount) => `${amount < 0 ? "−" : "+"}${SEK(Math.abs(amount))}`;
+
+const describeJournalEntry = (entry, accountNames) => {
+  const name = (id) => accountNames[id] || id;
+
+  if (entry.type === "rollover") {
+    const parts = Object.entries(entry.credited || {})
+      .map(([id, amount]) => {
+        const growth = entry.growth?.[id] ?? 0;
+        if (amount === 0 && Math.abs(growth) < 0.5) return null;
+        const growthText = Math.abs(growth) >= 0.5 ? ` (${formatSignedAmount(growth)} growth)` : "";
+        return `${name(id)} ${formatSignedAmount(amount)}${growthText}`;
+      })
+      .filter(Boolean);
+    return {
+      when: entry.month,
+      title: `Month closed${entry.stage ? ` · ${entry.stage}` : ""}`,
+      detail: parts.join(" • ") || "Nothing credited",
+    };
+  }
+
+  return {
+    when: new Date(entry.timestamp).toLocaleString("sv-SE").slice(0, 16),
+    title: `Manual adjustment · ${name(entry.account)}`,
+    detail:
+      `${formatSignedAmount(entry.amount)} (${SEK(entry.balance_before)} → ${SEK(
+        entry.balance_after
+      )})` + (entry.note ? ` • ${entry.note}` : ""),
+  };
+};
+
+const createHistoryPanel = () => {
+  const panel = document.createElement("section");
+  panel.className = "sensitivity";
+
+  const accounts = getPlanAccounts();
+  const accountNames = Object.fromEntries(accounts.map((account) => [account.id, account.name]));
+
+  const filters = document.createElement("div");
+  filters.className = "journal-filters";
+
+  const createSelect = (name, options) => {
+    const select = document.createElement("select");
+    select.className = "journal-filter";
+    select.name = name;
+    options.forEach(({ value, label }) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      option.selected = journalFilter[name] === value;
+      select.appendChild(option);
+    });
+    select.addEventListener("change", () => {
+      journalFilter = { ...journalFilter, [name]: select.value };
+      loadJournal();
+    });
+    return select;
+  };
+
+  filters.appendChild(
+    createSelect("type", [
+      { value: "", label: "All entries" },
+      { value: "adjustment", label: "Manual adjustments" },
+      { value: "rollover", label: "Month closings" },
+    ])
+  );
+  filters.appendChild(
+    createSelect("account", [
+      { value: "", label: "All accounts" },
+      ...accounts.map((account) => ({ value: account.id, label: account.name })),
+    ])
+  );
+  panel.appendChild(filters);
+
+  if (isLoadingJournal || journalEntries === null) {
+    const loading = document.createElement("div");
+    loading.className = "sensitivity-subtitle";
+    loading.textContent = "Loading journal...";
+    panel.appendChild(loading);
+    return panel;
+  }
+
+  if (journalEntries.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "sensitivity-subtitle";
+    empty.textContent =
+      journalStatus || "No entries yet. Saved balances and closed months will show up here.";
+    panel.appendChild(empty);
+    return panel;
+  }
+
+  const list = document.createElement("ol");
+  list.className = "journal-list";
+  journalEntries.forEach((entry) => {
+    const { when, title, detail } = describeJournalEntry(entry, accountNames);
+    const item = document.createElement("li");
+    item.className = `journal-row ${entry.type === "rollover" ? "is-rollover" : "is-adjustment"}`;
+
+    const whenEl = document.createElement("span");
+    whenEl.className = "journal-when";
+    whenEl.textContent = when;
+
+    const titleEl = document.createElement("span");
+    titleEl.className = "journal-title";
+    titleEl.textContent = title;
+
+    const detailEl = document.createElement("span");
+    detailEl.className = "journal-detail";
+    detailEl.textContent = detail;
+
+    item.appendChild(whenEl);
+    item.appendChild(titleEl);
+    item.appendChild(detailEl);
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+
+  if (journalStatus) {
+    const status = document.createElement("div");
+    status.className = "goal-adjuster-status";
+    status.textContent = journalStatus;
+    panel.appendChild(status);
+  }
+
+  return panel;
+};
+
+const formatImpliedReturn = (rate) => (typeof rate === "number" ? formatRate(rate) : "–");
+
+const createCheckinForm = (accounts) => {
+  const form = document.createElement("form");
+  form.className = "goal-adjuster";
+
+  const fields = document.createElement("div");
+  fields.className = "goal-adjuster-fields";
+
+  const createField = (labelText, input) => {
+    const label = document.createElement("label");
+    label.className = "goal-adjuster-field";
+    const caption = document.createElement("span");
+    caption.className = "goal-adjuster-label";
+    caption.textContent = labelText;
+    input.classList.add("goal-adjuster-input");
+    label.appendChild(caption);
+    label.appendChild(input);
+    return label;
+  };
+
+  const monthInput = document.createElement("input");
+  monthInput.type = "month";
+  monthInput.name = "month";
+  monthInput.required = true;
+  monthInput.value = getPreviousYearMonth(getNow());
+  fields.appendChild(createField("Month end", monthInput));
+
+  accounts.forEach((account) => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = account.id;
+    input.inputMode = "numeric";
+    input.step = "1";
+    input.value = String(Math.round(goalState.balances[account.id] ?? 0));
+    fields.appendChild(createField(account.name, input));
+  });
+  form.appendChild(fields);
+
+  const actions = document.createElement("div");
+  actions.className = "goal-adjuster-actions";
+  const button = document.createElement("button");
+  button.type = "submit";
+  button.className = "goal-adjuster-save";
+  button.disabled = isSavingCheckin;
+  button.textContent = isSavingCheckin ? "Saving..." : "Record check-in";
+  actions.appendChild(button);
+
+  const status = document.createElement("div");
+  status.className = "goal-adjuster-status";
+  status.textContent = checkinStatus || "Enter the actual balances from your bank at month end.";
+  actions.appendChild(status);
+  form.appendChild(actions);
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const data = new FormData(form);
+    const balances = {};
+    accounts.forEach((account) => {
+      const value = Number(data.get(account.id));
+      if (data.get(account.id) !== "" && Number.isFinite(value)) balances[account.id] = value;
+    });
+    saveCheckin({ month: String(data.get("month") || ""), balances });
+  });
+
+  return form;
+};
+
+const createCheckinsPanel = (stages) => {
+  const panel = document.createElement("section");
+  panel.className = "sensitivity";
+
+  const accounts = getPlanAccounts();
+  if (!isPreview()) panel.appendChild(createCheckinForm(accounts));
+
+  if (checkins === null) {
+    const loading = document.createElement("div");
+    loading.className = "sensitivity-subtitle";
+    loading.textContent = "Loading check-ins...";
+    panel.appendChild(loading);
+    return panel;
+  }
+
+  const report = buildVarianceReport({ checkins, stages, accounts, events: getPlanEvents() });
+  const subtitle = document.createElement("div");
+  subtitle.className = "sensitivity-subtitle";
+  panel.appendChild(subtitle);
+
+  if (!report.summary) {
+    subtitle.textContent =
+      "Record at least two month-end check-ins to compare actual balances with the plan.";
+    return panel;
+  }
+
+  const { summary } = report;
+  const summaryLines = accounts
+    .filter((account) => summary.accounts[account.id])
+    .map((account) => {
+      const item = summary.accounts[account.id];
+      const actual = formatSignedAmount(item.actualChange);
+      const planned = formatSignedAmount(item.predictedChange);
+      const returns = `${formatImpliedReturn(item.impliedAnnualReturn)} return vs ${formatRate(
+        item.assumedAnnualReturn
+      )} assumed`;
+      return `${account.name}: ${actual} actual vs ${planned} planned (${formatSignedAmount(
+        item.variance
+      )}), ${returns}`;
+    });
+  subtitle.innerHTML = `<strong>Plan vs actual, ${summary.fromMonth} to ${summary.month}</strong>
+${summaryLines.join("\n")}`;
+
+  const table = document.createElement("table");
+  table.className = "variance-table";
+  const reported = accounts.filter((account) =>
+    report.rows.some((row) => row.accounts[account.id])
+  );
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Month</th>
+        ${reported
+          .map((account) => `<th colspan="3">${account.name}</th>`)
+          .join("")}
+      </tr>
+      <tr>
+        <th></th>
+        ${reported.map(() => "<th>Actual</th><th>Variance</th><th>Return</th>").join("")}
+      </tr>
+    </thead>
+  `;
+
+  const body = document.createElement("tbody");
+  [...report.rows].reverse().forEach((row) => {
+    const tr = document.createElement("tr");
+    const cells = reported.map((account) => {
+      const item = row.accounts[account.id];
+      if (!item) return "<td></td><td></td><td></td>";
+      const tone = item.variance < 0 ? "is-behind" : "is-ahead";
+      return `<td>${formatSignedAmount(item.actualChange)}</td>
+        <td class="${tone}">${formatSignedAmount(item.variance)}</td>
+        <td>${formatImpliedReturn(item.impliedAnnualReturn)}</td>`;
+    });
+    tr.innerHTML = `<td>${row.month}</td>${cells.join("")}`;
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  panel.appendChild(table);
+
+  return panel;
+};
+
+const createTransactionImportForm = () => {
+  const form = document.createElement("form");
+  form.className = "goal-adjuster";
+
+  const fields = document.createElement("div");
+  fields.className = "goal-adjuster-fields";
+
+  const createField = (labelText, input) => {
+    const label = document.createElement("label");
+    label.className = "goal-adjuster-field";
+    const caption = document.createElement("span");
+    caption.className = "goal-adjuster-label";
+    caption.textContent = labelText;
+    input.classList.add("goal-adjuster-input");
+    label.appendChild(caption);
+    label.appendChild(input);
+    return label;
+  };
+
+  const createSelect = (name, options, value) => {
+    const select = document.createElement("select");
+    select.name = name;
+    options.forEach((item) => {
+      const option = document.createElement("option");
+      option.value = item.value;
+      option.textContent = item.label;
+      option.selected = item.value === value;
+      select.appendChild(option);
+    });
+    return select;
+  };
+
+  const bankSelect = createSelect(
+    "bank",
+    [
+      ...Object.entries(importCore.BANK_PRESETS).map(([value, preset]) => ({
+        value,
+        label: preset.label,
+      })),
+      { value: "custom", label: "Other (map columns)" },
+    ],
+    transactionImportBank
+  );
+  bankSelect.addEventListener("change", () => {
+    transactionImportBank = bankSelect.value;
+    renderCurrentDashboard();
+  });
+  fields.appendChild(createField("Bank", bankSelect));
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.name = "file";
+  fileInput.accept = ".csv,.txt,text/csv";
+  fileInput.required = true;
+  fields.appendChild(createField("CSV export", fileInput));
+
+  const isCustom = transactionImportBank === "custom";
+  if (isCustom) {
+    [
+      ["date", "Date column", "Datum"],
+      ["description", "Description column", "Text"],
+      ["amount", "Amount column", "Belopp"],
+    ].forEach(([name, labelText, placeholder]) => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.name = name;
+      input.required = true;
+      input.placeholder = placeholder;
+      fields.appendChild(createField(labelText, input));
+    });
+    fields.appendChild(
+      createField(
+        "Delimiter",
+        createSelect(
+          "delimiter",
+          [
+            { value: "", label: "Detect" },
+            { value: ";", label: "Semicolon (;)" },
+            { value: ",", label: "Comma (,)" },
+            { value: "\t", label: "Tab" },
+          ],
+          ""
+        )
+      )
+    );
+    fields.appendChild(
+      createField(
+        "Decimal separator",
+        createSelect(
+          "decimal",
+          [
+            { value: ",", label: "Comma (1 234,50)" },
+            { value: ".", label: "Point (1,234.50)" },
+          ],
+          ","
+        )
+      )
+    );
+  }
+  form.appendChild(fields);
+
+  const actions = document.createElement("div");
+  actions.className = "goal-adjuster-actions";
+  const button = document.createElement("button");
+  button.type = "submit";
+  button.className = "goal-adjuster-save";
+  button.disabled = isImportingTransactions;
+  button.textContent = isImportingTransactions ? "Importing..." : "Import transactions";
+  actions.appendChild(button);
+
+  const status = document.createElement("div");
+  status.className = "goal-adjuster-status";
+  status.textContent =
+    transactionStatus || "Rows already imported from an earlier export are skipped.";
+  actions.appendChild(status);
+  form.appendChild(actions);
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const data = new FormData(form);
+    const file = fileInput.files?.[0];
+    if (!file) return;
+
+    const payload = { csv: await file.text() };
+    if (isCustom) {
+      payload.mapping = Object.fromEntries(
+        ["date", "description", "amount", "delimiter", "decimal"].map((key) => [
+          key,
+          String(data.get(key) || ""),
+        ])
+      );
+    } else {
+      payload.bank = transactionImportBank;
+    }
+    importTransactions(payload);
+  });
+
+  return form;
+};
+
+// Uncategorised spending, largest first, as a hint for which rules to add.
+const summarizeUncategorized = (limit = 8) => {
+  const rules = cachedPlan?.transaction_rules;
+  const byDescription = new Map();
+  (transactions || [])
+    .filter((item) => importCore.categorizeTransaction(item, rules) === "uncategorized")
+    .forEach((item) => {
+      const entry = byDescription.get(item.description) || { total: 0, count: 0 };
+      byDescription.set(item.description, {
+        total: entry.total + item.amount,
+        count: entry.count + 1,
+      });
+    });
+
+  return [...byDescription.entries()]
+    .sort((a, b) => Math.abs(b[1].total) - Math.abs(a[1].total))
+    .slice(0, limit)
+    .map(
+      ([description, { total, count }]) =>
+        `${description} ${formatSignedAmount(total)} (${count}×)`
+    );
+};
+
+const createTransactionsPanel = (stages) => {
+  const panel = document.createElement("section");
+  panel.className = "sensitivity";
+  if (!isPreview()) panel.appendChild(createTransactionImportForm());
+
+  if (transactions === null) {
+    const loading = document.createElement("div");
+    loading.className = "sensitivity-subtitle";
+    loading.textContent = "Loading transactions...";
+    panel.appendChild(loading);
+    return panel;
+  }
+
+  const actuals = getMonthlyActuals();
+  const subtitle = document.createElement("div");
+  subtitle.className = "sensitivity-subtitle";
+  panel.appendChild(subtitle);
+  if (actuals.length === 0) {
+    subtitle.textContent = "Import a bank export to see monthly actuals.";
+    return panel;
+  }
+
+  const uncategorized = summarizeUncategorized();
+  subtitle.textContent =
+    uncategorized.length > 0
+      ? `Add transaction_rules to plan.json to categorize these:\n${uncategorized.join("\n")}`
+      : "Every imported transaction matches a rule in transaction_rules.";
+
+  const table = document.createElement("table");
+  table.className = "variance-table";
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th>Month</th><th>Income</th><th>Fixed</th><th>Household</th><th>Savings</th>
+        <th>Uncategorized</th><th>Out vs plan</th>
+      </tr>
+    </thead>
+  `;
+  const body = document.createElement("tbody");
+  [...actuals]
+    .reverse()
+    .slice(0, 12)
+    .forEach((row) => {
+      const plannedOut = getPlannedOut(stages, row.month);
+      const difference =
+        typeof plannedOut === "number" ? row.fixed_costs + row.household - plannedOut : null;
+      const tone = difference > 0 ? "is-behind" : "is-ahead";
+      const tr = document.createElement("tr");
+      tr.innerHTML = `<td>${row.month}</td>
+        ${[row.income, row.fixed_costs, row.household, row.savings, row.uncategorized]
+          .map((amount) => `<td>${SEK(amount)}</td>`)
+          .join("")}
+        <td class="${difference === null ? "" : tone}">${
+          difference === null ? "–" : formatSignedAmount(difference)
+        }</td>`;
+      body.appendChild(tr);
+    });
+  table.appendChild(body);
+  panel.appendChild(table);
+
+  return panel;
+};
+
+const createGoalPanelToggle = (goal, stages, simulation) => {
   const wrapper = document.createElement("section");
   wrapper.className = "hero-tools";
 
@@ -646,7 +2574,20 @@ const createGoalPanelToggle = (goal, stages) => {
   const buttons = [
     { key: "balances", label: "Current balances" },
     { key: "sensitivity", label: "Target-date sensitivity" },
+    { key: "gap", label: "Gap to target" },
   ];
+  if (cachedPlan?.retirement) {
+    buttons.push({ key: "retirement", label: "Retirement" });
+  }
+  if (backendCapabilities.journal) {
+    buttons.push({ key: "history", label: "History" });
+  }
+  if (backendCapabilities.checkins) {
+    buttons.push({ key: "checkins", label: "Check-ins" });
+  }
+  if (backendCapabilities.transactions) {
+    buttons.push({ key: "transactions", label: "Transactions" });
+  }
 
   buttons.forEach((item) => {
     const button = document.createElement("button");
@@ -672,7 +2613,17 @@ const createGoalPanelToggle = (goal, stages) => {
   if (activeGoalPanel === "balances") {
     panelShell.appendChild(createCurrentBalancesEditor());
   } else if (activeGoalPanel === "sensitivity") {
-    panelShell.appendChild(createSensitivityPanel(goal, stages));
+    panelShell.appendChild(createSensitivityPanel(goal, stages, simulation));
+  } else if (activeGoalPanel === "gap") {
+    panelShell.appendChild(createGapToTargetPanel(goal, stages));
+  } else if (activeGoalPanel === "retirement") {
+    panelShell.appendChild(createRetirementPanel(stages));
+  } else if (activeGoalPanel === "history") {
+    panelShell.appendChild(createHistoryPanel());
+  } else if (activeGoalPanel === "checkins") {
+    panelShell.appendChild(createCheckinsPanel(stages));
+  } else if (activeGoalPanel === "transactions") {
+    panelShell.appendChild(createTransactionsPanel(stages));
   }
 
   wrapper.appendChild(panelShell);
@@ -683,17 +2634,23 @@ const createGoalHero = (goal, stages) => {
   const hero = document.createElement("section");
   hero.className = "hero";
 
-  const targetLT = safeNumber(goal?.target_longterm);
-  const targetBuf = safeNumber(goal?.target_buffer);
+  const now = getNow();
+  const targetDate = getGoalTargetDate(goal) || now;
   const targetYear = goal?.target_year ?? null;
-
-  const lt = goalState.currentLongterm ?? 0;
-  const buf = goalState.currentBuffer ?? 0;
-
-  const pctLT =
-    typeof targetLT === "number" && targetLT > 0 ? clamp((lt / targetLT) * 100, 0, 100) : 0;
-  const pctBuf =
-    typeof targetBuf === "number" && targetBuf > 0 ? clamp((buf / targetBuf) * 100, 0, 100) : 0;
+  const accounts = getPlanAccounts();
+  const tracked = accounts.map((account, index) => {
+    const balance = goalState.balances[account.id] ?? 0;
+    const target = toDisplayAmount(safeNumber(account.target), targetDate, now);
+    return {
+      account,
+      balance,
+      target,
+      color: getAccountColor(account.id, index),
+      pct:
+        typeof target === "number" && target > 0 ? clamp((balance / target) * 100, 0, 100) : null,
+    };
+  });
+  const withTargets = tracked.filter((item) => typeof item.pct === "number");
 
   // Title row
   const row = document.createElement("div");
@@ -706,14 +2663,17 @@ const createGoalHero = (goal, stages) => {
   const meta = document.createElement("div");
   meta.className = "hero-meta";
 
-  if (typeof targetLT === "number" && typeof targetBuf === "number") {
+  if (withTargets.length > 0) {
     meta.textContent =
-      `LT: ${pctLT.toFixed(1)}%` +
-      `  •  Buf: ${pctBuf.toFixed(1)}%` +
-      (targetYear ? `  •  ${targetYear}` : "");
+      withTargets
+        .map(
+          (item) =>
+            `${accountShortLabels[item.account.id] || item.account.name}: ${item.pct.toFixed(1)}%`
+        )
+        .join("  •  ") + (targetYear ? `  •  ${targetYear}` : "");
   } else {
     meta.textContent =
-      "Add goal.target_longterm/target_buffer + current_longterm/current_buffer in plan.json";
+      "Add goal.target_longterm/target_buffer or account targets + current balances in plan.json";
   }
 
   row.appendChild(title);
@@ -724,82 +2684,97 @@ const createGoalHero = (goal, stages) => {
   bars.style.display = "grid";
   bars.style.gap = "10px";
 
-  // LT bar (thick, yellow gradient)
-  const barLT = document.createElement("div");
-  barLT.className = "hero-bar";
-  barLT.style.height = "28px";
-
-  const fillLT = document.createElement("div");
-  fillLT.className = "hero-fill";
-  fillLT.style.width = `${pctLT}%`;
-  fillLT.style.background =
-    "linear-gradient(90deg, rgba(250,204,21,.95), rgba(251,191,36,.95), rgba(253,224,71,.95))";
-
-  const labelLT = document.createElement("div");
-  labelLT.className = "hero-label";
-  labelLT.textContent = `${pctLT.toFixed(0)}%`;
-
-  barLT.appendChild(fillLT);
-  barLT.appendChild(labelLT);
-
-  // Buffer bar (thin, blue)
-  const barBuf = document.createElement("div");
-  barBuf.className = "hero-bar";
-  barBuf.style.height = "16px";
-  barBuf.style.opacity = "0.95";
-
-  const fillBuf = document.createElement("div");
-  fillBuf.className = "hero-fill";
-  fillBuf.style.width = `${pctBuf}%`;
-  fillBuf.style.background =
-    "linear-gradient(90deg, rgba(125,211,252,.92), rgba(167,139,250,.92))";
-
-  const labelBuf = document.createElement("div");
-  labelBuf.className = "hero-label";
-  labelBuf.style.fontSize = "11px";
-  labelBuf.textContent = `${pctBuf.toFixed(0)}%`;
-
-  barBuf.appendChild(fillBuf);
-  barBuf.appendChild(labelBuf);
-
-  bars.appendChild(barLT);
-  bars.appendChild(barBuf);
+  withTargets.forEach((item) => {
+    // LT is the headline bar; every other account gets a thin bar.
+    const isHeadline = item.account.id === "longterm";
+    const bar = document.createElement("div");
+    bar.className = "hero-bar";
+    bar.style.height = isHeadline ? "28px" : "16px";
+    if (!isHeadline) bar.style.opacity = "0.95";
+
+    const fill = document.createElement("div");
+    fill.className = "hero-fill";
+    fill.style.width = `${item.pct}%`;
+    fill.style.background = item.color;
+
+    const label = document.createElement("div");
+    label.className = "hero-label";
+    if (!isHeadline) label.style.fontSize = "11px";
+    label.textContent = isHeadline
+      ? `${item.pct.toFixed(0)}%`
+      : `${item.account.name} ${item.pct.toFixed(0)}%`;
+
+    bar.appendChild(fill);
+    bar.appendChild(label);
+    bars.appendChild(bar);
+  });
 
   const barDetails = document.createElement("div");
   barDetails.className = "hero-bar-details";
-  barDetails.innerHTML = `
-    <div>Long-term: ${SEK(lt)} / ${SEK(targetLT)}</div>
-    <div>Buffer: ${SEK(buf)} / ${SEK(targetBuf)}</div>
-  `;
+  tracked.forEach((item, index) => {
+    const line = document.createElement("div");
+    const realSuffix = index === 0 && valueMode === "real" ? " (today's SEK)" : "";
+    line.textContent =
+      typeof item.target === "number"
+        ? `${item.account.name}: ${SEK(item.balance)} / ${SEK(item.target)}${realSuffix}`
+        : `${item.account.name}: ${SEK(item.balance)}`;
+    barDetails.appendChild(line);
+  });
 
   // Countdown line
   const countdownRow = document.createElement("div");
   countdownRow.className = "hero-countdowns";
 
-  const bufferCountdown = document.createElement("div");
-  bufferCountdown.className = "hero-countdown buffer";
-
   const ltCountdown = document.createElement("div");
   ltCountdown.className = "hero-countdown lt";
 
   const projection = projectGoalDate({
     stages,
     goal,
-    currentLongterm: goalState.currentLongterm,
-    currentBuffer: goalState.currentBuffer,
-    annualRate: 0.08,
-    now: new Date(),
+    accounts,
+    balances: goalState.balances,
+    events: getPlanEvents(),
+    inflationRate: getActiveInflationRate(),
+    now,
   });
-  const bufferProjection = projectBufferDate({
+  const accountCountdowns = withTargets
+    .filter((item) => item.account.id !== "longterm")
+    .map((item) => {
+      const element = document.createElement("div");
+      element.className = "hero-countdown account";
+      return {
+        element,
+        name: item.account.name,
+        projection: projectAccountDate({
+          stages,
+          goal,
+          account: item.account,
+          balance: item.balance,
+          events: getPlanEvents(),
+          inflationRate: getActiveInflationRate(),
+          now,
+        }),
+      };
+    });
+  const simulation = simulateGoalDatesCached({
     stages,
     goal,
-    currentBuffer: goalState.currentBuffer,
-    now: new Date(),
+    accounts: getMonteCarloAccounts(accounts),
+    balances: goalState.balances,
+    events: getPlanEvents(),
+    runs: getMonteCarloSettings().runs,
+    seed: getMonteCarloSettings().seed,
+    inflationRate: getActiveInflationRate(),
+    now,
   });
 
+  const bandsRow = document.createElement("div");
+  bandsRow.className = "hero-bands";
+  bandsRow.textContent = formatMonteCarloBands(simulation);
+
   const updateCountdowns = () => {
     if (projection.reached && projection.date) {
-      const ms = projection.date.getTime() - Date.now();
+      const ms = projection.date.getTime() - getNow().getTime();
       ltCountdown.textContent = `LT goal: ${projection.date.toLocaleDateString(
         "sv-SE"
       )} • ${formatCountdown(ms)}`;
@@ -807,14 +2782,16 @@ const createGoalHero = (goal, stages) => {
       ltCountdown.textContent = "LT goal: Not enough data";
     }
 
-    if (bufferProjection.reached && bufferProjection.date) {
-      const ms = bufferProjection.date.getTime() - Date.now();
-      bufferCountdown.textContent = `Buffer: ${bufferProjection.date.toLocaleDateString(
-        "sv-SE"
-      )} • ${formatCountdown(ms)}`;
-    } else {
-      bufferCountdown.textContent = "Buffer: Not enough data";
-    }
+    accountCountdowns.forEach((item) => {
+      if (item.projection.reached && item.projection.date) {
+        const ms = item.projection.date.getTime() - getNow().getTime();
+        item.element.textContent = `${item.name}: ${item.projection.date.toLocaleDateString(
+          "sv-SE"
+        )} • ${formatCountdown(ms)}`;
+      } else {
+        item.element.textContent = `${item.name}: Not enough data`;
+      }
+    });
   };
 
   if (projection.reached && projection.date) {
@@ -829,10 +2806,11 @@ const createGoalHero = (goal, stages) => {
   hero.appendChild(bars);
   hero.appendChild(barDetails);
   countdownRow.appendChild(ltCountdown);
-  countdownRow.appendChild(bufferCountdown);
+  accountCountdowns.forEach((item) => countdownRow.appendChild(item.element));
   hero.appendChild(countdownRow);
+  hero.appendChild(bandsRow);
   hero.appendChild(createAssumptionsNote());
-  hero.appendChild(createGoalPanelToggle(goal, stages));
+  hero.appendChild(createGoalPanelToggle(goal, stages, simulation));
 
   return hero;
 };
@@ -840,11 +2818,94 @@ const createGoalHero = (goal, stages) => {
 /* =========================
    Render
    ========================= */
+const createModeToggle = (options, activeValue, onSelect) => {
+  const toggle = document.createElement("div");
+  toggle.className = "mode-toggle";
+
+  options.forEach((option) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `mode-btn ${activeValue === option.value ? "is-active" : ""}`.trim();
+    button.textContent = option.label;
+    button.addEventListener("click", () => {
+      if (activeValue === option.value) return;
+      onSelect(option.value);
+      renderCurrentDashboard();
+    });
+    toggle.appendChild(button);
+  });
+
+  return toggle;
+};
+
+const createYearlyPeriodSelect = (stages, currentYear) => {
+  const wrapper = document.createElement("div");
+  wrapper.className = "mode-toggle";
+  const select = document.createElement("select");
+  select.name = "yearly_period";
+  select.className = "mode-select";
+  select.setAttribute("aria-label", "Yearly period");
+
+  const selected = String(yearlyPeriod ?? currentYear);
+  const options = [
+    ["rolling", "Next 12 months"],
+    ...getReportYearOptions(stages, currentYear).map((year) => [String(year), String(year)]),
+  ];
+  options.forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selected;
+    select.appendChild(option);
+  });
+  select.addEventListener("change", () => {
+    yearlyPeriod = select.value === "rolling" ? "rolling" : Number(select.value);
+    renderCurrentDashboard();
+  });
+
+  wrapper.appendChild(select);
+  return wrapper;
+};
+
+// Picking today's date, or clearing the field, leaves the preview.
+const createAsOfControl = () => {
+  const wrapper = document.createElement("div");
+  wrapper.className = "mode-toggle";
+  const input = document.createElement("input");
+  input.type = "date";
+  input.name = "as_of";
+  input.className = `mode-select ${isPreview() ? "is-active" : ""}`.trim();
+  input.setAttribute("aria-label", "Show the dashboard as of");
+  input.value = formatDay(getNow());
+  input.addEventListener("change", () => {
+    const value = input.value === formatDay(new Date()) ? null : input.value || null;
+    openAsOfPreview(value);
+  });
+  wrapper.appendChild(input);
+
+  if (isPreview()) {
+    const todayButton = document.createElement("button");
+    todayButton.type = "button";
+    todayButton.className = "mode-btn";
+    todayButton.textContent = "Today";
+    todayButton.addEventListener("click", () => openAsOfPreview(null));
+    wrapper.appendChild(todayButton);
+  }
+  return wrapper;
+};
+
 const renderDashboard = ({ yearMonth, stage, warning, goal, stages }) => {
   if (!app) return;
 
   app.innerHTML = "";
-  const vm = computeViewModel(stage);
+  const [viewYear, viewMonth] = yearMonth.split("-").map(Number);
+  const vm =
+    displayMode === "yearly"
+      ? computeYearlyViewModel(stage, stages, getPlanAccounts(), yearMonth)
+      : deflateViewModel(
+          computeViewModel(stage, getPlanAccounts(), yearMonth),
+          new Date(viewYear, viewMonth - 1, 1)
+        );
 
   // Top header
   const header = document.createElement("header");
@@ -868,29 +2929,46 @@ const renderDashboard = ({ yearMonth, stage, warning, goal, stages }) => {
   }
   header.appendChild(right);
 
-  const toggle = document.createElement("div");
-  toggle.className = "mode-toggle";
-  const monthlyBtn = document.createElement("button");
-  monthlyBtn.type = "button";
-  monthlyBtn.className = `mode-btn ${displayMode === "monthly" ? "is-active" : ""}`.trim();
-  monthlyBtn.textContent = "Monthly";
-  monthlyBtn.addEventListener("click", () => {
-    if (displayMode === "monthly") return;
-    displayMode = "monthly";
-    renderCurrentDashboard();
-  });
-  const yearlyBtn = document.createElement("button");
-  yearlyBtn.type = "button";
-  yearlyBtn.className = `mode-btn ${displayMode === "yearly" ? "is-active" : ""}`.trim();
-  yearlyBtn.textContent = "Yearly";
-  yearlyBtn.addEventListener("click", () => {
-    if (displayMode === "yearly") return;
-    displayMode = "yearly";
-    renderCurrentDashboard();
-  });
-  toggle.appendChild(monthlyBtn);
-  toggle.appendChild(yearlyBtn);
-  header.appendChild(toggle);
+  const toggles = document.createElement("div");
+  toggles.className = "mode-toggles";
+  toggles.appendChild(
+    createModeToggle(
+      [
+        { value: "monthly", label: "Monthly" },
+        { value: "yearly", label: "Yearly" },
+      ],
+      displayMode,
+      (value) => {
+        displayMode = value;
+      }
+    )
+  );
+  if (displayMode === "yearly") {
+    toggles.appendChild(createYearlyPeriodSelect(stages, viewYear));
+  }
+  toggles.appendChild(
+    createModeToggle(
+      [
+        { value: "nominal", label: "Nominal" },
+        { value: "real", label: "Real" },
+      ],
+      valueMode,
+      (value) => {
+        valueMode = value;
+      }
+    )
+  );
+  toggles.appendChild(createAsOfControl());
+  const reportToggle = document.createElement("div");
+  reportToggle.className = "mode-toggle";
+  const reportButton = document.createElement("button");
+  reportButton.type = "button";
+  reportButton.className = "mode-btn";
+  reportButton.textContent = "Annual report";
+  reportButton.addEventListener("click", () => openAnnualReport(viewYear));
+  reportToggle.appendChild(reportButton);
+  toggles.appendChild(reportToggle);
+  header.appendChild(toggles);
 
   // Hero
   const hero = createGoalHero(goal, stages);
@@ -901,15 +2979,32 @@ const renderDashboard = ({ yearMonth, stage, warning, goal, stages }) => {
   grid.className = "card-grid";
 
   // Net income (prominent) with pretax + tax details
-  const incomeDetails = `Pre-tax: ${formatAmount(vm.incomePreTax, displayMode)} • Tax: ${formatAmount(
-    vm.tax,
-    displayMode
-  )}`;
+  const incomeDetails = [
+    `Pre-tax: ${formatAmount(vm.incomePreTax)}`,
+    `Tax: ${formatAmount(vm.tax)}`,
+  ];
+  if (vm.taxBreakdown) {
+    const breakdown = vm.taxBreakdown;
+    incomeDetails.push(
+      `Municipal: ${formatAmount(breakdown.municipalTax)}`,
+      `State: ${formatAmount(breakdown.stateTax)}`,
+      `Jobbskatteavdrag: −${formatAmount(breakdown.earnedIncomeCredit)}`
+    );
+    if (vm.netIncomeSource === "computed") {
+      incomeDetails.push(
+        `Computed with ${breakdown.year} tables at ${(breakdown.municipalRate * 100).toFixed(2)}%`
+      );
+    }
+  }
+  if (vm.netIncomeMismatch) {
+    incomeDetails.push(`Computed net: ${formatAmount(vm.computedNetIncome)}`);
+  }
   grid.appendChild(
     createCard({
       title: "Net income",
-      value: formatAmount(vm.netIncome, displayMode),
-      details: incomeDetails,
+      value: formatAmount(vm.netIncome),
+      details: incomeDetails.join(" • "),
+      variant: vm.netIncomeMismatch ? "variant-warn" : "",
     })
   );
 
@@ -918,55 +3013,73 @@ const renderDashboard = ({ yearMonth, stage, warning, goal, stages }) => {
       ? vm.netIncome - vm.totalOut
       : null;
 
-  // Money out
+  // Money out, with the latest imported month of actual spending when there is one
+  const moneyOutDetails = [
+    `Fixed: ${formatAmount(vm.fixedCosts)}`,
+    `Household: ${formatAmount(vm.household)}`,
+    `Available before savings: ${formatAmount(availableBeforeSavings)}`,
+  ];
+  const actuals = getLatestStageActuals(stages, stage, yearMonth);
+  let moneyOutVariant = "";
+  if (actuals) {
+    const [actualYear, actualMonth] = actuals.month.split("-").map(Number);
+    const actualDate = new Date(actualYear, actualMonth - 1, 1);
+    const show = (amount) => formatAmount(toDisplayAmount(amount, actualDate));
+    moneyOutDetails.push(
+      `Actual ${actuals.month}: ${show(actuals.out)} (fixed ${show(
+        actuals.fixed_costs
+      )}, household ${show(actuals.household)})`
+    );
+    if (typeof actuals.plannedOut === "number") {
+      const difference = actuals.out - actuals.plannedOut;
+      moneyOutDetails.push(
+        `${difference > 0 ? "Over" : "Under"} plan by ${show(Math.abs(difference))}`
+      );
+      moneyOutVariant = difference > 0 ? "variant-warn" : "";
+    }
+  }
   grid.appendChild(
     createCard({
       title: "Money out",
-      value: formatAmount(vm.totalOut, displayMode),
-      details: `Fixed: ${formatAmount(vm.fixedCosts, displayMode)} • Household: ${formatAmount(
-        vm.household,
-        displayMode
-      )} • Available before savings: ${formatAmount(availableBeforeSavings, displayMode)}`,
+      value: formatAmount(vm.totalOut),
+      details: moneyOutDetails.join(" • "),
+      variant: moneyOutVariant,
     })
   );
 
   // Savings
   const savingsTotal = vm.savingsTotal;
-  const savingsLong = vm.savingsLong;
-  const savingsBuffer = vm.savingsBuffer;
   const savingsBar =
     typeof savingsTotal === "number" && savingsTotal > 0
-      ? `<div class="stacked-bar">
-           <span class="stacked-seg long" style="width:${clamp(
-             ((typeof savingsLong === "number" ? savingsLong : 0) / savingsTotal) * 100,
-             0,
-             100
-           )}%"></span>
-           <span class="stacked-seg buffer" style="width:${clamp(
-             ((typeof savingsBuffer === "number" ? savingsBuffer : 0) / savingsTotal) * 100,
-             0,
-             100
-           )}%"></span>
-         </div>`
+      ? `<div class="stacked-bar">${vm.savings
+          .map(
+            (item, index) =>
+              `<span class="stacked-seg" style="width:${clamp(
+                ((typeof item.amount === "number" ? item.amount : 0) / savingsTotal) * 100,
+                0,
+                100
+              )}%;background:${getAccountColor(item.id, index)}"></span>`
+          )
+          .join("")}</div>`
       : "";
   grid.appendChild(
     createCard({
       title: "Savings",
-      value: formatAmount(savingsTotal, displayMode),
-      details: `Long-term: ${formatAmount(savingsLong, displayMode)} • Buffer: ${formatAmount(
-        savingsBuffer,
-        displayMode
-      )}`,
+      value: formatAmount(savingsTotal),
+      details: vm.savings
+        .map((item) => `${item.name}: ${formatAmount(item.amount)}`)
+        .join(" • "),
       extra: savingsBar,
     })
   );
 
-  // Left in pocket (+/=/- based on 3000 threshold)
+  // Left in pocket (+/=/- based on 3000 a month)
   const leftover = vm.leftover;
+  const comfortable = displayMode === "yearly" ? 3000 * 12 : 3000;
   let variant = "";
 
   if (typeof leftover === "number") {
-    if (leftover >= 3000) {
+    if (leftover >= comfortable) {
       variant = "variant-good";
     } else if (leftover >= 0) {
       variant = "variant-warn";
@@ -978,7 +3091,7 @@ const renderDashboard = ({ yearMonth, stage, warning, goal, stages }) => {
   grid.appendChild(
     createCard({
       title: "Left in pocket",
-      value: formatAmount(leftover, displayMode),
+      value: formatAmount(leftover),
       details: "After out + savings",
       variant,
     })
@@ -986,7 +3099,12 @@ const renderDashboard = ({ yearMonth, stage, warning, goal, stages }) => {
 
   app.appendChild(header);
   app.appendChild(createStageTimeline(stages, yearMonth));
+  if (planEditor && canEditPlan()) {
+    app.appendChild(createPlanEditor(goal, stages));
+  }
   app.appendChild(hero);
+  const chart = createProjectionChart(goal, stages);
+  if (chart) app.appendChild(chart);
   app.appendChild(grid);
   app.appendChild(
     createFooter({
@@ -995,6 +3113,703 @@ const renderDashboard = ({ yearMonth, stage, warning, goal, stages }) => {
   );
 };
 
+/* =========================
+   Projection chart (plain SVG)
+   ========================= */
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const createSvgElement = (tag, attrs = {}) => {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, String(value)));
+  return el;
+};
+
+const formatAxisAmount = (value) => {
+  if (value >= 1_000_000) return `${Number((value / 1_000_000).toFixed(1))}M`;
+  if (value >= 1_000) return `${Math.round(value / 1_000)}k`;
+  return String(Math.round(value));
+};
+
+const createProjectionChart = (goal, stages) => {
+  const now = getNow();
+  const accounts = getPlanAccounts();
+  const series = projectBalanceSeries({
+    stages,
+    goal,
+    accounts,
+    balances: goalState.balances,
+    events: getPlanEvents(),
+    inflationRate: getActiveInflationRate(),
+    now,
+  });
+  if (!series || series.points.length < 2) return null;
+
+  const width = 720;
+  const height = 260;
+  const pad = { top: 16, right: 16, bottom: 26, left: 52 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const points = series.points.map((point) => ({
+    ...point,
+    display: Object.fromEntries(
+      accounts.map((account) => [
+        account.id,
+        toDisplayAmount(point.balances[account.id] ?? 0, point.date, now),
+      ])
+    ),
+  }));
+  const targetDate = getGoalTargetDate(goal) || now;
+  const targets = accounts
+    .map((account, index) => ({
+      account,
+      color: getAccountLineColor(account.id, index),
+      value: toDisplayAmount(safeNumber(account.target), targetDate, now),
+    }))
+    .filter((item) => typeof item.value === "number" && item.value > 0);
+
+  const maxValue = Math.max(
+    1,
+    ...points.flatMap((point) => Object.values(point.display)),
+    ...targets.map((item) => item.value)
+  );
+  const yMax = maxValue * 1.05;
+  const lastIndex = points.length - 1;
+  const x = (index) => pad.left + (index / lastIndex) * plotWidth;
+  const y = (value) => pad.top + plotHeight - (Math.max(0, value) / yMax) * plotHeight;
+
+  const section = document.createElement("section");
+  section.className = "chart-card";
+
+  const header = document.createElement("div");
+  header.className = "chart-header";
+  const title = document.createElement("div");
+  title.className = "hero-title";
+  title.textContent = "Projected balances";
+  const legend = document.createElement("div");
+  legend.className = "chart-legend";
+  accounts.forEach((account, index) => {
+    const item = document.createElement("span");
+    item.className = "chart-legend-item";
+    item.style.setProperty("--swatch", getAccountLineColor(account.id, index));
+    item.textContent = account.name;
+    legend.appendChild(item);
+  });
+  header.appendChild(title);
+  header.appendChild(legend);
+  section.appendChild(header);
+
+  const frame = document.createElement("div");
+  frame.className = "chart-frame";
+  const svg = createSvgElement("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "chart-svg",
+    role: "img",
+    "aria-label": "Projected balances per account",
+  });
+
+  // Horizontal grid with amount labels
+  for (let tick = 0; tick <= 4; tick += 1) {
+    const value = (yMax / 4) * tick;
+    svg.appendChild(
+      createSvgElement("line", {
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: y(value),
+        y2: y(value),
+        class: "chart-grid",
+      })
+    );
+    const label = createSvgElement("text", {
+      x: pad.left - 8,
+      y: y(value) + 4,
+      "text-anchor": "end",
+      class: "chart-axis",
+    });
+    label.textContent = formatAxisAmount(value);
+    svg.appendChild(label);
+  }
+
+  // Year labels, thinned out so long projections stay readable
+  const januaries = points
+    .map((point, index) => ({ point, index }))
+    .filter(({ point, index }) => index > 0 && point.date.getMonth() === 0);
+  const yearStep = Math.max(1, Math.ceil(januaries.length / 8));
+  januaries
+    .filter((_, position) => position % yearStep === 0)
+    .forEach(({ point, index }) => {
+      const label = createSvgElement("text", {
+        x: x(index),
+        y: height - 8,
+        "text-anchor": "middle",
+        class: "chart-axis",
+      });
+      label.textContent = String(point.date.getFullYear());
+      svg.appendChild(label);
+    });
+
+  const addMarker = (index, text, className) => {
+    svg.appendChild(
+      createSvgElement("line", {
+        x1: x(index),
+        x2: x(index),
+        y1: pad.top,
+        y2: pad.top + plotHeight,
+        class: className,
+      })
+    );
+    const label = createSvgElement("text", { x: x(index) + 4, y: pad.top + 10, class: className });
+    label.textContent = text;
+    svg.appendChild(label);
+  };
+
+  // Stage boundaries fall where the first month of a stage is credited
+  (Array.isArray(stages) ? stages : []).forEach((stage) => {
+    const index = points.findIndex((point) => point.month === stage?.from);
+    if (index > 0) addMarker(index, stage.name || stage.from, "chart-stage");
+  });
+  addMarker(0, "Today", "chart-today");
+  if (series.goalDate) {
+    const goalIndex = points.findIndex((point) => point.date === series.goalDate);
+    if (goalIndex > 0) addMarker(goalIndex, "Goal", "chart-goal");
+  }
+
+  targets.forEach((item) => {
+    svg.appendChild(
+      createSvgElement("line", {
+        x1: pad.left,
+        x2: width - pad.right,
+        y1: y(item.value),
+        y2: y(item.value),
+        stroke: item.color,
+        class: "chart-target",
+      })
+    );
+  });
+
+  accounts.forEach((account, index) => {
+    const color = getAccountLineColor(account.id, index);
+    const line = points
+      .map((point, i) => {
+        const command = i === 0 ? "M" : "L";
+        return `${command}${x(i).toFixed(1)},${y(point.display[account.id]).toFixed(1)}`;
+      })
+      .join(" ");
+    if (account.id === "longterm") {
+      svg.appendChild(
+        createSvgElement("path", {
+          d: `${line} L${x(lastIndex)},${y(0)} L${x(0)},${y(0)} Z`,
+          fill: color,
+          class: "chart-area",
+        })
+      );
+    }
+    svg.appendChild(createSvgElement("path", { d: line, stroke: color, class: "chart-line" }));
+  });
+
+  // Hover guide and tooltip
+  const guide = createSvgElement("line", {
+    y1: pad.top,
+    y2: pad.top + plotHeight,
+    class: "chart-guide",
+    visibility: "hidden",
+  });
+  svg.appendChild(guide);
+  const dots = accounts.map((account, index) => {
+    const dot = createSvgElement("circle", {
+      r: 3.5,
+      fill: getAccountLineColor(account.id, index),
+      visibility: "hidden",
+    });
+    svg.appendChild(dot);
+    return dot;
+  });
+  const overlay = createSvgElement("rect", {
+    x: pad.left,
+    y: pad.top,
+    width: plotWidth,
+    height: plotHeight,
+    fill: "transparent",
+  });
+  svg.appendChild(overlay);
+
+  const tooltip = document.createElement("div");
+  tooltip.className = "chart-tooltip";
+  tooltip.hidden = true;
+
+  const showPoint = (index) => {
+    const point = points[index];
+    guide.setAttribute("x1", String(x(index)));
+    guide.setAttribute("x2", String(x(index)));
+    guide.setAttribute("visibility", "visible");
+    accounts.forEach((account, i) => {
+      dots[i].setAttribute("cx", String(x(index)));
+      dots[i].setAttribute("cy", String(y(point.display[account.id])));
+      dots[i].setAttribute("visibility", "visible");
+    });
+
+    const rows = accounts.map((account) => {
+      const credited = toDisplayAmount(point.credited[account.id] ?? 0, point.date, now);
+      const growth = toDisplayAmount(point.growth[account.id] ?? 0, point.date, now);
+      const changes =
+        index === 0
+          ? ""
+          : ` <span class="chart-tooltip-muted">(${formatSignedAmount(credited)} saved, ` +
+            `${formatSignedAmount(growth)} growth)</span>`;
+      return `<div>${account.name}: ${SEK(point.display[account.id])}${changes}</div>`;
+    });
+    tooltip.innerHTML = `<strong>${index === 0 ? "Today" : point.month}</strong>${
+      point.stage ? ` · ${point.stage}` : ""
+    }${rows.join("")}`;
+    tooltip.hidden = false;
+    tooltip.style.left = `${(x(index) / width) * 100}%`;
+    tooltip.classList.toggle("is-right", index > lastIndex / 2);
+  };
+
+  overlay.addEventListener("mousemove", (event) => {
+    const box = svg.getBoundingClientRect();
+    if (!box.width) return;
+    const svgX = ((event.clientX - box.left) / box.width) * width;
+    const index = Math.round(((svgX - pad.left) / plotWidth) * lastIndex);
+    showPoint(clamp(index, 0, lastIndex));
+  });
+  overlay.addEventListener("mouseleave", () => {
+    tooltip.hidden = true;
+    guide.setAttribute("visibility", "hidden");
+    dots.forEach((dot) => dot.setAttribute("visibility", "hidden"));
+  });
+
+  frame.appendChild(svg);
+  frame.appendChild(tooltip);
+  section.appendChild(frame);
+  section.appendChild(createScheduleExport(goal, stages));
+  return section;
+};
+
+const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Same rows as GET /api/schedule, always in nominal kronor, computed from the balances on
+// screen so the export also works when the dashboard runs without the server.
+const createScheduleExport = (goal, stages) => {
+  const wrapper = document.createElement("div");
+  wrapper.className = "chart-export";
+
+  const label = document.createElement("label");
+  label.textContent = "Schedule from";
+  const fromInput = document.createElement("input");
+  fromInput.type = "month";
+  fromInput.name = "schedule_from";
+  fromInput.value = getCurrentYearMonth(getNow());
+  label.appendChild(fromInput);
+  wrapper.appendChild(label);
+
+  const buildSchedule = () =>
+    buildProjectionSchedule({
+      stages,
+      goal,
+      accounts: getPlanAccounts(),
+      balances: goalState.balances,
+      events: getPlanEvents(),
+      from: isValidYearMonth(fromInput.value) ? fromInput.value : undefined,
+      taxCore,
+      municipalRate: getMunicipalTaxRate(),
+      now: getNow(),
+    });
+
+  const formats = [
+    ["CSV", () => ["schedule.csv", formatScheduleCsv(buildSchedule()), "text/csv"]],
+    [
+      "CSV (sv-SE)",
+      () => [
+        "schedule.csv",
+        `\uFEFF${formatScheduleCsv(buildSchedule(), { locale: "sv-SE" })}`,
+        "text/csv",
+      ],
+    ],
+    [
+      "JSON",
+      () => ["schedule.json", JSON.stringify(buildSchedule(), null, 2), "application/json"],
+    ],
+  ];
+  formats.forEach(([text, build]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "goal-adjuster-secondary";
+    button.textContent = text;
+    button.addEventListener("click", () => downloadFile(...build()));
+    wrapper.appendChild(button);
+  });
+
+  return wrapper;
+};
+
+/* =========================
+   Annual report
+   ========================= */
+const readReportYear = () => {
+  const value = new URLSearchParams(window.location.search).get("report");
+  return /^\d{4}$/.test(value || "") ? Number(value) : null;
+};
+
+let reportYear = readReportYear();
+// Journaled rollovers for the report year's opening and closing months: { year, entries }.
+let reportRollovers = null;
+
+const loadReportRollovers = async (year) => {
+  if (!backendCapabilities.journal) return;
+  try {
+    const params = new URLSearchParams({
+      type: "rollover",
+      from: `${year - 1}-12`,
+      to: `${year}-12`,
+    });
+    const res = await fetch(`/api/journal?${params}`, { cache: "no-store" });
+    if (!res.ok) throw new Error("journal failed");
+    const data = await res.json();
+    reportRollovers = { year, entries: Array.isArray(data?.entries) ? data.entries : [] };
+  } catch {
+    reportRollovers = { year, entries: [] };
+  } finally {
+    renderCurrentDashboard();
+  }
+};
+
+// The report year is kept in the URL (?report=2026) so a reload or a bookmark reopens it.
+const openAnnualReport = (year) => {
+  reportYear = year;
+  const url = new URL(window.location.href);
+  if (year === null) {
+    url.searchParams.delete("report");
+  } else {
+    url.searchParams.set("report", String(year));
+  }
+  window.history.replaceState(null, "", url);
+  if (year !== null && backendCapabilities.checkins && checkins === null) {
+    loadCheckins();
+  }
+  if (year !== null && reportRollovers?.year !== year) loadReportRollovers(year);
+  renderCurrentDashboard();
+};
+
+const getReportYearOptions = (stages, year) => {
+  const years = [year, getNow().getFullYear()];
+  stages.forEach((stage) => {
+    [stage?.from, stage?.to]
+      .filter((value) => isValidYearMonth(value))
+      .forEach((value) => years.push(Number(value.slice(0, 4))));
+  });
+  const first = Math.min(...years);
+  return Array.from({ length: Math.max(...years) - first + 1 }, (_, index) => first + index);
+};
+
+const REPORT_TOTAL_FIELDS = [
+  ["incomePreTax", "Income before tax"],
+  ["tax", "Tax"],
+  ["netIncome", "Net income"],
+  ["fixedCosts", "Fixed costs"],
+  ["household", "Household"],
+  ["savingsTotal", "Savings"],
+  ["leftover", "Left over"],
+];
+
+// Year totals from sumStageMonths, plus the month view of each active stage in its first
+// month of the year for the stage table and the warnings.
+const summarizeReportYear = (stages, accounts, year) => {
+  const sum = sumStageMonths({
+    stages,
+    accounts,
+    from: `${year}-01`,
+    taxCore,
+    municipalRate: getMunicipalTaxRate(),
+    now: getNow(),
+  });
+  return {
+    ...sum,
+    stages: sum.stages.map((item) => ({
+      ...item,
+      vm: computeViewModel(findStageForYearMonth(stages, item.months[0]), accounts, item.months[0]),
+    })),
+  };
+};
+
+// Balances after `ym` closed: a check-in if one was recorded, the stored balances for the
+// last month rolled over, the journaled rollover for an earlier month, otherwise the
+// projection.
+const getReportBalances = (ym, series) => {
+  const checkin = (checkins || []).filter((item) => item.month === ym).pop();
+  if (checkin) return { balances: checkin.balances || {}, source: "Check-in" };
+  if (ym === goalState.lastMonthlySavingsAddedYm) {
+    return { balances: goalState.balances, source: "Current balances" };
+  }
+  if (ym < goalState.lastMonthlySavingsAddedYm) {
+    const rollover = (reportRollovers?.entries || []).find(
+      (entry) => entry.month === ym && entry.balances
+    );
+    return rollover ? { balances: rollover.balances, source: "Balance history" } : null;
+  }
+  const point = series?.points.find((item) => item.month === ym);
+  return point ? { balances: point.balances, source: "Projected" } : null;
+};
+
+const createReportSection = (title) => {
+  const section = document.createElement("section");
+  section.className = "report-section";
+  const heading = document.createElement("h2");
+  heading.textContent = title;
+  section.appendChild(heading);
+  return section;
+};
+
+const createReportTable = (head, rows) => {
+  const table = document.createElement("table");
+  table.className = "variance-table report-table";
+  table.innerHTML = `
+    <thead><tr>${head.map((cell) => `<th>${cell}</th>`).join("")}</tr></thead>
+    <tbody>${rows
+      .map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join("")}</tr>`)
+      .join("")}</tbody>
+  `;
+  return table;
+};
+
+const createReportToolbar = (year, stages) => {
+  const toolbar = document.createElement("div");
+  toolbar.className = "report-toolbar";
+
+  const back = document.createElement("button");
+  back.type = "button";
+  back.className = "mode-btn";
+  back.textContent = "Back to dashboard";
+  back.addEventListener("click", () => openAnnualReport(null));
+
+  const select = document.createElement("select");
+  select.name = "report_year";
+  select.setAttribute("aria-label", "Report year");
+  getReportYearOptions(stages, year).forEach((option) => {
+    const item = document.createElement("option");
+    item.value = String(option);
+    item.textContent = String(option);
+    item.selected = option === year;
+    select.appendChild(item);
+  });
+  select.addEventListener("change", () => openAnnualReport(Number(select.value)));
+
+  const print = document.createElement("button");
+  print.type = "button";
+  print.className = "mode-btn is-active";
+  print.textContent = "Print or save as PDF";
+  print.addEventListener("click", () => window.print());
+
+  toolbar.appendChild(back);
+  toolbar.appendChild(select);
+  toolbar.appendChild(print);
+  return toolbar;
+};
+
+// Everything in the report is in nominal kronor, whatever the dashboard toggles say.
+const renderAnnualReport = ({ year, goal, stages, warning }) => {
+  if (!app) return;
+  app.innerHTML = "";
+
+  const now = getNow();
+  const accounts = getPlanAccounts();
+  const events = getPlanEvents();
+  const summary = summarizeReportYear(stages, accounts, year);
+  const monthsToYearEnd = (year - now.getFullYear()) * 12 + 12 - now.getMonth();
+  const series =
+    monthsToYearEnd > 0
+      ? projectBalanceSeries({
+          stages,
+          goal,
+          accounts,
+          balances: goalState.balances,
+          events,
+          now,
+          months: monthsToYearEnd,
+        })
+      : null;
+  const start = getReportBalances(`${year - 1}-12`, series);
+  const end = getReportBalances(`${year}-12`, series);
+
+  const report = document.createElement("article");
+  report.className = "report";
+  report.appendChild(createReportToolbar(year, stages));
+
+  const header = document.createElement("header");
+  header.className = "report-header";
+  header.innerHTML = `
+    <h1>Annual report ${year}</h1>
+    <div class="report-sub">
+      ${isPreview() ? "Preview as of" : "Generated"} ${now.toLocaleDateString("sv-SE")}. Amounts in SEK, nominal.
+    </div>
+  `;
+  report.appendChild(header);
+
+  const stagesSection = createReportSection("Stages");
+  stagesSection.appendChild(
+    createReportTable(
+      ["Stage", "From", "To", "Months", "Net income/month", "Savings/month"],
+      summary.stages.map(({ stage, vm, months }) => [
+        vm.stageName,
+        stage.from || "",
+        stage.to || "",
+        months.length,
+        SEK(vm.netIncome),
+        SEK(vm.savingsTotal),
+      ])
+    )
+  );
+  report.appendChild(stagesSection);
+
+  const totalsSection = createReportSection(`Totals for ${year}`);
+  const totalRows = REPORT_TOTAL_FIELDS.map(([key, label]) => [label, SEK(summary.totals[key])]);
+  const savingsIndex = REPORT_TOTAL_FIELDS.findIndex(([key]) => key === "savingsTotal");
+  totalRows.splice(
+    savingsIndex + 1,
+    0,
+    ...accounts.map((account) => [`Savings to ${account.name}`, SEK(summary.savings[account.id])])
+  );
+  totalsSection.appendChild(createReportTable(["", "Year"], totalRows));
+  report.appendChild(totalsSection);
+
+  const balancesSection = createReportSection("Balances");
+  const balanceCell = (entry, id) =>
+    typeof safeNumber(entry?.balances[id]) === "number" ? SEK(entry.balances[id]) : "N/A";
+  balancesSection.appendChild(
+    createReportTable(
+      [
+        "Account",
+        `1 Jan ${year}${start ? ` (${start.source})` : ""}`,
+        `31 Dec ${year}${end ? ` (${end.source})` : ""}`,
+        "Change",
+      ],
+      accounts.map((account) => {
+        const from = safeNumber(start?.balances[account.id]);
+        const to = safeNumber(end?.balances[account.id]);
+        const change =
+          typeof from === "number" && typeof to === "number" ? formatSignedAmount(to - from) : "N/A";
+        return [account.name, balanceCell(start, account.id), balanceCell(end, account.id), change];
+      })
+    )
+  );
+  report.appendChild(balancesSection);
+
+  const targetAccounts = accounts.filter((account) => safeNumber(account.target) > 0);
+  const goalSection = createReportSection("Goal progress");
+  goalSection.appendChild(
+    createReportTable(
+      ["Account", "Target", `31 Dec ${year}`, "Progress"],
+      targetAccounts.map((account) => {
+        const balance = safeNumber(end?.balances[account.id]);
+        return [
+          account.name,
+          SEK(account.target),
+          SEK(balance),
+          typeof balance === "number" ? `${Math.round((balance / account.target) * 100)}%` : "N/A",
+        ];
+      })
+    )
+  );
+  report.appendChild(goalSection);
+
+  const returns = getReturnAssumptions();
+  const projectionSection = createReportSection("Projected dates");
+  projectionSection.appendChild(
+    createReportTable(
+      ["Scenario", "Long-term return", "Goal", ...targetAccounts.map((account) => account.name)],
+      [{ label: "Plan" }, ...returns.scenarios].map((scenario) => {
+        const rated = applyScenarioRates(accounts, scenario);
+        const projection = projectGoalDate({
+          stages,
+          goal,
+          accounts: rated,
+          balances: goalState.balances,
+          events,
+          now,
+        });
+        return [
+          scenario.label,
+          formatRate(rated.find((account) => account.id === "longterm")?.annualRate ?? 0),
+          formatProjectionSummary(projection),
+          ...rated
+            .filter((account) => targetAccounts.some((item) => item.id === account.id))
+            .map((account) =>
+              formatProjectionSummary(
+                projectAccountDate({
+                  stages,
+                  goal,
+                  account,
+                  balance: goalState.balances[account.id] ?? 0,
+                  events,
+                  now,
+                })
+              )
+            ),
+        ];
+      })
+    )
+  );
+  report.appendChild(projectionSection);
+
+  const warnings = [];
+  if (warning) warnings.push(warning);
+  if (summary.gaps.length > 0) {
+    warnings.push(`No stage covers ${summary.gaps.join(", ")}.`);
+  }
+  summary.stages.forEach(({ vm }) => {
+    if (vm.netIncomeMismatch) {
+      warnings.push(
+        `${vm.stageName}: net_income ${SEK(vm.netIncome)} differs from the computed ${SEK(
+          vm.computedNetIncome
+        )}.`
+      );
+    }
+    if (typeof vm.leftover === "number" && vm.leftover < 0) {
+      warnings.push(
+        `${vm.stageName}: costs and savings exceed net income by ${SEK(-vm.leftover)}.`
+      );
+    }
+  });
+  const latestStageEnd = getLatestStageEndInfo(stages);
+  const baseProjection = projectGoalDate({
+    stages,
+    goal,
+    accounts,
+    balances: goalState.balances,
+    events,
+    now,
+  });
+  if (
+    latestStageEnd &&
+    baseProjection.reached &&
+    baseProjection.date.getTime() > latestStageEnd.endDate.getTime()
+  ) {
+    warnings.push(`Projection extends the last plan stage beyond ${latestStageEnd.yearMonth}.`);
+  }
+
+  const warningsSection = createReportSection("Warnings");
+  const list = document.createElement("ul");
+  list.className = "report-warnings";
+  (warnings.length > 0 ? warnings : ["None."]).forEach((text) => {
+    const item = document.createElement("li");
+    item.textContent = text;
+    list.appendChild(item);
+  });
+  warningsSection.appendChild(list);
+  report.appendChild(warningsSection);
+
+  app.appendChild(report);
+};
+
 /* =========================
    Fetch plan.json
    ========================= */
@@ -1008,51 +3823,178 @@ const tryFetchPlan = async () => {
 };
 
 let cachedPlan = null;
+let planIssues = [];
 
 const renderCurrentDashboard = () => {
   if (!cachedPlan) return;
+  if (planIssues.length) {
+    renderValidationErrors(planIssues);
+    return;
+  }
   const stages = Array.isArray(cachedPlan.stages) ? cachedPlan.stages : [];
-  const yearMonth = getCurrentYearMonth(new Date());
+  const preview = isPreview() ? `Preview of ${formatDay(asOfDate)}, nothing is saved` : "";
+  const warning = preview ? [preview, previewNote].filter(Boolean).join(". ") : stateWarning;
+  if (reportYear !== null) {
+    renderAnnualReport({
+      year: reportYear,
+      goal: cachedPlan.goal || {},
+      stages,
+      warning,
+    });
+    return;
+  }
+  const yearMonth = getCurrentYearMonth(getNow());
   const stage = findStageForYearMonth(stages, yearMonth);
   renderDashboard({
     yearMonth,
     stage,
-    warning: stateWarning,
+    warning,
     goal: cachedPlan.goal || {},
     stages,
   });
 };
 
-const loadPlan = async () => {
+let previewNote = "";
+
+// Everything after the as-of day's last closed month is in today's balances, so an
+// earlier day is rebuilt from the journal.
+const loadJournalUntil = async (date) => {
+  if (!backendCapabilities.journal) return [];
   try {
-    await loadBackendCapabilities();
-    const response = await tryFetchPlan();
-    const plan = await response.json();
-    cachedPlan = plan;
+    const params = new URLSearchParams({ to: getCurrentYearMonth(date), limit: "500" });
+    const res = await fetch(`/api/journal?${params}`, { cache: "no-store" });
+    if (!res.ok) return [];
+    const data = await res.json();
+    return Array.isArray(data?.entries) ? data.entries : [];
+  } catch {
+    return [];
+  }
+};
 
-    const issues = validatePlan(plan);
-    if (issues.length) {
-      renderValidationErrors(issues);
-      return;
-    }
+// Turns today's balances into the as-of day's: rolled forward over the months that will
+// have been credited by a later day, or replayed from the journal for an earlier one.
+const applyPreviewState = async (stages) => {
+  previewNote = "";
+  const journal = isBeforeState(goalState, stages, asOfDate)
+    ? await loadJournalUntil(asOfDate)
+    : [];
+  const state = getStateAsOf(snapshotGoalState(), stages, asOfDate, {
+    accounts: getPlanAccounts(),
+    events: getPlanEvents(),
+    journal,
+  });
+  if (!state) {
+    previewNote = "The balance history does not reach that day, so today's balances are shown";
+    return;
+  }
+  applyGoalState(state);
+};
 
-    const stages = Array.isArray(plan.stages) ? plan.stages : [];
+// The as-of day is kept in the URL like the report year. Leaving the preview reloads the
+// stored state, so today's balances come back exactly as saved.
+const openAsOfPreview = (value) => {
+  const url = new URL(window.location.href);
+  if (value === null) {
+    url.searchParams.delete("as_of");
+  } else {
+    url.searchParams.set("as_of", value);
+  }
+  window.history.replaceState(null, "", url);
+  asOfDate = readAsOfDate();
+  syncWithServer().catch((err) => renderStatus(`Error loading plan: ${err.message}`, true));
+};
 
-    const storedState = await loadState();
-    const resolvedState = reconcileGoalState(plan.goal || {}, storedState, new Date());
-    applyGoalState(resolvedState);
+// Sends anything saved offline, reads plan.json and state.json, replays any month that is
+// due and renders. Runs on load, whenever live reload reports that either file changed
+// and when the connection comes back.
+const syncWithServer = async () => {
+  await replayOfflineChanges().catch(() => null);
+  const response = await tryFetchPlan();
+  rememberEtag("plan", response);
+  const plan = await applyQueuedBalanceSaves(await response.json());
+  cachedPlan = plan;
+  planIssues = validatePlan(plan);
+  if (planIssues.length) {
+    renderCurrentDashboard();
+    return;
+  }
 
-    let shouldPersist = resolvedState.shouldPersist;
-    const rolloverChanged = applyMonthlyRolloverIfNeeded(stages);
-    if (rolloverChanged) {
-      shouldPersist = true;
-    }
+  const stages = Array.isArray(plan.stages) ? plan.stages : [];
+
+  const storedState = await loadState();
+  const resolvedState = reconcileGoalState(resolveAccounts(plan), storedState, new Date(), {
+    stages,
+  });
+  applyGoalState(resolvedState);
+
+  let shouldPersist = resolvedState.shouldPersist;
+  const rolloverChanged = applyMonthlyRolloverIfNeeded(stages);
+  if (rolloverChanged) {
+    shouldPersist = true;
+  }
+
+  if (isPreview()) {
+    await applyPreviewState(stages);
+  } else if (shouldPersist) {
+    await saveState();
+  }
+
+  renderCurrentDashboard();
+};
+
+/* =========================
+   Live reload: the server pushes the ETag of plan.json or state.json whenever either
+   changes on disk. A change this tab wrote itself carries the ETag it already holds.
+   ========================= */
+const LIVE_RELOAD_DELAY_MS = 300;
+let liveReloadTimer = null;
 
-    if (shouldPersist) {
-      await saveState();
+// Re-rendering would throw away whatever is being typed into a form, so wait for it.
+const isEditingForm = () => {
+  const active = document.activeElement;
+  return Boolean(active && app.contains(active) && active.closest("form"));
+};
+
+const scheduleLiveReload = () => {
+  clearTimeout(liveReloadTimer);
+  liveReloadTimer = setTimeout(async () => {
+    if (isSavingCurrentGoal || isSavingPlanEdit || isEditingForm()) {
+      scheduleLiveReload();
+      return;
+    }
+    try {
+      await syncWithServer();
+    } catch {
+      return;
     }
+    journalEntries = null;
+    if (activeGoalPanel === "history") loadJournal();
+    if (reportYear !== null) loadReportRollovers(reportYear);
+  }, LIVE_RELOAD_DELAY_MS);
+};
 
-    renderCurrentDashboard();
+const listenForChanges = () => {
+  if (typeof EventSource !== "function") return;
+  const events = new EventSource("/api/events");
+  events.addEventListener("change", (event) => {
+    const { file, etag } = JSON.parse(event.data);
+    if (documentEtags[file] !== etag) scheduleLiveReload();
+  });
+  // Reconnected after the server was down.
+  events.addEventListener("open", () => {
+    if (hasOfflineChanges) scheduleLiveReload();
+  });
+};
+
+const loadPlan = async () => {
+  try {
+    await loadBackendCapabilities();
+    await syncWithServer();
+    if (backendCapabilities.liveReload) listenForChanges();
+    window.addEventListener("online", scheduleLiveReload);
+    if (backendCapabilities.transactions) loadTransactions();
+    if (reportYear !== null && backendCapabilities.checkins) loadCheckins();
+    if (reportYear !== null) loadReportRollovers(reportYear);
 
     // Live ticking: countdown each second
     setInterval(() => {
@@ -1061,7 +4003,8 @@ const loadPlan = async () => {
 
     // Check rollover every minute; only re-render if state changed
     setInterval(() => {
-      if (!cachedPlan) return;
+      if (hasOfflineChanges) scheduleLiveReload();
+      if (!cachedPlan || planIssues.length || isPreview()) return;
       const stages2 = Array.isArray(cachedPlan.stages) ? cachedPlan.stages : [];
       const changed = applyMonthlyRolloverIfNeeded(stages2);
       if (!changed) return;
@@ -1075,5 +4018,10 @@ const loadPlan = async () => {
   }
 };
 
+// Caches the app for offline use. Browsers only allow this on localhost or over HTTPS.
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("./sw.js").catch(() => null);
+}
+
 renderStatus("Loading...");
 loadPlan();
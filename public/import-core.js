@@ -0,0 +1,251 @@
+(function (root, factory) {
+  const api = factory();
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  }
+
+  root.ImportCore = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  // Column names as they appear in each bank's CSV export. Any field can be overridden
+  // with a custom mapping; a missing delimiter is detected from the header line.
+  const BANK_PRESETS = {
+    swedbank: {
+      label: "Swedbank",
+      date: "Transaktionsdag",
+      description: "Beskrivning",
+      amount: "Belopp",
+      delimiter: ",",
+      decimal: ".",
+    },
+    seb: {
+      label: "SEB",
+      date: "Bokföringsdatum",
+      description: "Text",
+      amount: "Belopp",
+      delimiter: ";",
+      decimal: ",",
+    },
+    handelsbanken: {
+      label: "Handelsbanken",
+      date: "Transaktionsdatum",
+      description: "Text",
+      amount: "Belopp",
+      delimiter: ";",
+      decimal: ",",
+    },
+    nordea: {
+      label: "Nordea",
+      date: "Bokföringsdag",
+      description: "Rubrik",
+      amount: "Belopp",
+      delimiter: ";",
+      decimal: ",",
+    },
+    ica: {
+      label: "ICA Banken",
+      date: "Datum",
+      description: "Text",
+      amount: "Belopp",
+      delimiter: ";",
+      decimal: ",",
+    },
+  };
+
+  const resolveMapping = ({ bank, mapping } = {}) => {
+    const preset = BANK_PRESETS[bank] || {};
+    const custom = mapping && typeof mapping === "object" ? mapping : {};
+    const pick = (key, fallback) =>
+      typeof custom[key] === "string" && custom[key] !== "" ? custom[key] : preset[key] ?? fallback;
+
+    return {
+      date: pick("date", null),
+      description: pick("description", null),
+      amount: pick("amount", null),
+      delimiter: pick("delimiter", null),
+      decimal: pick("decimal", ","),
+    };
+  };
+
+  // Splits one CSV line, honouring quotes ("a;b") and doubled quotes inside them.
+  const splitCsvLine = (line, delimiter) => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i += 1) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  };
+
+  const detectDelimiter = (line) => {
+    const counts = [";", ",", "\t"].map((char) => [char, splitCsvLine(line, char).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+  };
+
+  // "-1 234,50 kr" with decimal "," is -1234.5; the other separator is read as grouping.
+  const parseAmount = (value, decimal = ",") => {
+    if (typeof value !== "string") return null;
+    const grouping = decimal === "," ? "." : ",";
+    const cleaned = value
+      .replace(/\s/g, "")
+      .replace(/kr|sek/gi, "")
+      .replace(/\u2212/g, "-")
+      .split(grouping)
+      .join("")
+      .replace(decimal, ".");
+    if (!/^[-+]?\d+(\.\d+)?$/.test(cleaned)) return null;
+    return Number(cleaned);
+  };
+
+  const parseDate = (value) => {
+    const match = /^(\d{4})[-/]?(\d{2})[-/]?(\d{2})$/.exec(String(value || "").trim());
+    if (!match) return null;
+    const [, year, month, day] = match;
+    if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) {
+      return null;
+    }
+    return `${year}-${month}-${day}`;
+  };
+
+  // Bank exports often start with a title or period line, so the header is the first
+  // line that names the date column.
+  const parseTransactions = (text, options = {}) => {
+    const mapping = resolveMapping(options);
+    const missing = ["date", "description", "amount"].filter((key) => !mapping[key]);
+    if (missing.length > 0) {
+      return {
+        transactions: [],
+        errors: [{ line: 0, message: `Column mapping is missing ${missing.join(", ")}.` }],
+      };
+    }
+
+    const lines = String(text || "")
+      .replace(/^\uFEFF/, "")
+      .split(/\r?\n/);
+    const headerIndex = lines.findIndex((line) => line.includes(mapping.date));
+    if (headerIndex === -1) {
+      return {
+        transactions: [],
+        errors: [{ line: 0, message: `No header line with a "${mapping.date}" column.` }],
+      };
+    }
+
+    const delimiter = mapping.delimiter || detectDelimiter(lines[headerIndex]);
+    const header = splitCsvLine(lines[headerIndex], delimiter);
+    const columns = {
+      date: header.indexOf(mapping.date),
+      description: header.indexOf(mapping.description),
+      amount: header.indexOf(mapping.amount),
+    };
+    const unknown = Object.entries(columns)
+      .filter(([, index]) => index === -1)
+      .map(([key]) => `"${mapping[key]}"`);
+    if (unknown.length > 0) {
+      return {
+        transactions: [],
+        errors: [{ line: headerIndex + 1, message: `Missing columns: ${unknown.join(", ")}.` }],
+      };
+    }
+
+    const transactions = [];
+    const errors = [];
+    lines.slice(headerIndex + 1).forEach((line, offset) => {
+      if (line.trim() === "") return;
+      const lineNumber = headerIndex + offset + 2;
+      const cells = splitCsvLine(line, delimiter);
+      const date = parseDate(cells[columns.date]);
+      const amount = parseAmount(cells[columns.amount], mapping.decimal);
+
+      if (!date) {
+        errors.push({ line: lineNumber, message: `Invalid date "${cells[columns.date] ?? ""}".` });
+        return;
+      }
+      if (amount === null) {
+        errors.push({
+          line: lineNumber,
+          message: `Invalid amount "${cells[columns.amount] ?? ""}".`,
+        });
+        return;
+      }
+
+      transactions.push({
+        date,
+        month: date.slice(0, 7),
+        description: cells[columns.description] || "",
+        amount,
+      });
+    });
+
+    return { transactions, errors };
+  };
+
+  // Rules are tried in order; `match` is a case-insensitive regular expression on the
+  // description. Unmatched transactions stay "uncategorized".
+  const categorizeTransaction = (transaction, rules = []) => {
+    const rule = (Array.isArray(rules) ? rules : []).find((item) => {
+      try {
+        return new RegExp(item.match, "i").test(transaction.description || "");
+      } catch {
+        return false;
+      }
+    });
+    return rule ? rule.category : "uncategorized";
+  };
+
+  // Money out (fixed costs, household, savings) is reported as a positive amount.
+  const summarizeMonthlyActuals = (transactions, rules = []) => {
+    const months = new Map();
+
+    (Array.isArray(transactions) ? transactions : []).forEach((transaction) => {
+      if (typeof transaction?.amount !== "number" || !transaction.month) return;
+      const category = categorizeTransaction(transaction, rules);
+      if (category === "ignore") return;
+
+      if (!months.has(transaction.month)) {
+        months.set(transaction.month, {
+          month: transaction.month,
+          income: 0,
+          fixed_costs: 0,
+          household: 0,
+          savings: 0,
+          uncategorized: 0,
+          count: 0,
+        });
+      }
+      const row = months.get(transaction.month);
+      row[category] += category === "income" ? transaction.amount : -transaction.amount;
+      row.count += 1;
+    });
+
+    return [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+  };
+
+  return {
+    BANK_PRESETS,
+    categorizeTransaction,
+    parseAmount,
+    parseTransactions,
+    resolveMapping,
+    summarizeMonthlyActuals,
+  };
+});
@@ -0,0 +1,64 @@
+// Service worker: keeps the app shell, the core modules and the last plan.json so the
+// dashboard opens without the server. Everything is fetched from the network first, so
+// edits show up as soon as the server is reachable; the cache is only the fallback.
+// Writes and the other /api/ routes always go to the network, and app.js queues them in
+// IndexedDB while it is offline.
+const CACHE_NAME = "luke-finance-v2";
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./app.css",
+  "./app-core.js",
+  "./tax-core.js",
+  "./import-core.js",
+  "./app.js",
+  "./plan.json",
+  "./manifest.webmanifest",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./icons/icon-maskable-512.png",
+];
+// Read-only API responses the dashboard needs to start offline.
+const CACHED_API_PATHS = ["/api/meta"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+const fetchAndCache = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    // `?report=2026` and similar still open the cached page.
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/") && !CACHED_API_PATHS.includes(url.pathname)) return;
+  event.respondWith(fetchAndCache(request));
+});
@@ -0,0 +1,139 @@
+(function (root, factory) {
+  const api = factory();
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  }
+
+  root.TaxCore = api;
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+  // Piecewise rules are expressed in price base amounts (prisbasbelopp, PBB):
+  // between `from` and `upTo`, the value is `base + slope * (income - from)`.
+  const BASIC_DEDUCTION = [
+    { upTo: 0.99, from: 0, base: 0.423, slope: 0 },
+    { upTo: 2.72, from: 0.99, base: 0.423, slope: 0.2 },
+    { upTo: 3.11, from: 2.72, base: 0.77, slope: 0 },
+    { upTo: 7.88, from: 3.11, base: 0.77, slope: -0.1 },
+    { upTo: null, from: 7.88, base: 0.293, slope: 0 },
+  ];
+
+  const EARNED_INCOME_CREDIT = [
+    { upTo: 0.91, from: 0, base: 0, slope: 1 },
+    { upTo: 3.24, from: 0.91, base: 0.91, slope: 0.3874 },
+    { upTo: 8.08, from: 3.24, base: 1.813, slope: 0.251 },
+    { upTo: null, from: 8.08, base: 3.027, slope: 0 },
+  ];
+
+  // Yearly parameters for a taxpayer under 66. The municipal rate is the national
+  // average (municipal plus regional) and is only used when the plan sets none.
+  const TAX_TABLES = {
+    2023: {
+      priceBaseAmount: 52500,
+      stateTaxThreshold: 598500,
+      stateTaxRate: 0.2,
+      averageMunicipalRate: 0.3234,
+      basicDeduction: BASIC_DEDUCTION,
+      earnedIncomeCredit: EARNED_INCOME_CREDIT,
+    },
+    2024: {
+      priceBaseAmount: 57300,
+      stateTaxThreshold: 598500,
+      stateTaxRate: 0.2,
+      averageMunicipalRate: 0.3237,
+      basicDeduction: BASIC_DEDUCTION,
+      earnedIncomeCredit: EARNED_INCOME_CREDIT,
+    },
+    2025: {
+      priceBaseAmount: 58800,
+      stateTaxThreshold: 625800,
+      stateTaxRate: 0.2,
+      averageMunicipalRate: 0.3241,
+      basicDeduction: BASIC_DEDUCTION,
+      earnedIncomeCredit: EARNED_INCOME_CREDIT,
+    },
+  };
+
+  const TAX_YEARS = Object.keys(TAX_TABLES)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  // Years outside the tables borrow the closest known year.
+  const getTaxTable = (year) => {
+    const known = TAX_YEARS.filter((taxYear) => taxYear <= year);
+    const picked = known.length > 0 ? known[known.length - 1] : TAX_YEARS[0];
+    return { year: picked, ...TAX_TABLES[picked] };
+  };
+
+  const evaluatePiecewise = (segments, income, priceBaseAmount) => {
+    const segment =
+      segments.find((item) => item.upTo === null || income <= item.upTo * priceBaseAmount) ||
+      segments[segments.length - 1];
+    return (
+      segment.base * priceBaseAmount + segment.slope * (income - segment.from * priceBaseAmount)
+    );
+  };
+
+  const roundDownTo = (value, step) => Math.floor(value / step) * step;
+  const roundUpTo = (value, step) => Math.ceil(value / step) * step;
+
+  const calculateAnnualTax = ({ grossIncome, year, municipalRate } = {}) => {
+    const table = getTaxTable(year);
+    const rate = typeof municipalRate === "number" ? municipalRate : table.averageMunicipalRate;
+    const income = Math.max(0, typeof grossIncome === "number" ? grossIncome : 0);
+    const pbb = table.priceBaseAmount;
+
+    const basicDeduction = Math.min(
+      income,
+      roundUpTo(evaluatePiecewise(table.basicDeduction, income, pbb), 100)
+    );
+    const taxableIncome = roundDownTo(Math.max(0, income - basicDeduction), 100);
+
+    const municipalTax = taxableIncome * rate;
+    const stateTax = Math.max(0, taxableIncome - table.stateTaxThreshold) * table.stateTaxRate;
+
+    const creditBase = evaluatePiecewise(table.earnedIncomeCredit, income, pbb) - basicDeduction;
+    const earnedIncomeCredit = Math.min(municipalTax, Math.max(0, creditBase * rate));
+
+    const totalTax = municipalTax + stateTax - earnedIncomeCredit;
+
+    return {
+      year: table.year,
+      municipalRate: rate,
+      grossIncome: income,
+      basicDeduction,
+      taxableIncome,
+      municipalTax,
+      stateTax,
+      earnedIncomeCredit,
+      totalTax,
+      netIncome: income - totalTax,
+    };
+  };
+
+  // Monthly pay is annualised, taxed for the full year and spread evenly again.
+  const calculateMonthlyTax = ({ grossMonthly, year, municipalRate } = {}) => {
+    if (typeof grossMonthly !== "number") return null;
+    const annual = calculateAnnualTax({ grossIncome: grossMonthly * 12, year, municipalRate });
+    const monthly = (value) => value / 12;
+
+    return {
+      year: annual.year,
+      municipalRate: annual.municipalRate,
+      grossIncome: grossMonthly,
+      basicDeduction: monthly(annual.basicDeduction),
+      taxableIncome: monthly(annual.taxableIncome),
+      municipalTax: monthly(annual.municipalTax),
+      stateTax: monthly(annual.stateTax),
+      earnedIncomeCredit: monthly(annual.earnedIncomeCredit),
+      totalTax: monthly(annual.totalTax),
+      netIncome: monthly(annual.netIncome),
+    };
+  };
+
+  return {
+    TAX_TABLES,
+    calculateAnnualTax,
+    calculateMonthlyTax,
+    getTaxTable,
+  };
+});
@@ -1,119 +1,986 @@
 const express = require("express");
-const fs = require("fs");
+const crypto = require("crypto");
 const path = require("path");
-
+const {
+  applyScenarioRates,
+  buildProjectionSchedule,
+  findStageForYearMonth,
+  formatScheduleCsv,
+  getCurrentYearMonth,
+  projectAccountDate,
+  projectBufferDate,
+  projectGoalDate,
+  resolveAccounts,
+  resolveReturnAssumptions,
+  sumStageMonths,
+  validatePlan,
+  validateStage,
+} = require("./public/app-core.js");
+const TaxCore = require("./public/tax-core.js");
+const { BANK_PRESETS, parseTransactions } = require("./public/import-core.js");
+const {
+  DOCUMENT_FILES,
+  DOCUMENT_LABELS,
+  LEGACY_ACCOUNT_IDS,
+  appendJournalEntries,
+  appendJsonLines,
+  applyBalanceSave,
+  appendRolloverEntries,
+  checkinsPath,
+  readCurrentState,
+  readDocument,
+  readJournal,
+  readJsonFile,
+  readJsonLines,
+  readPlan,
+  readRevisions,
+  readState,
+  toAmountMap,
+  toFiniteNumber,
+  transactionsPath,
+  watchDocuments,
+  writeBalanceSave,
+  writePlan,
+  writeState,
+} = require("./store.js");
 
 const app = express();
 const PORT = process.env.PORT || 4173;
+// Only this machine by default; set HOST=0.0.0.0 to reach it from a phone on the network.
+const HOST = process.env.HOST || "127.0.0.1";
 const API_VERSION = "2026-04-10";
 
 app.use(express.json({ limit: "1mb" }));
 
-const toFiniteNumber = (value) => {
-  const parsed = Number(value);
-  return Number.isFinite(parsed) ? parsed : 0;
-};
-
-// Serve static files
+// Serve static files. plan.json has its own route so it carries the content ETag that
+// writes must send back in If-Match.
 const publicDir = path.join(__dirname, "public");
+app.get("/plan.json", (_req, res) => {
+  const { etag, content } = readDocument("plan");
+  if (!content) return res.status(404).json({ error: "Could not read public/plan.json" });
+  return res.set({ ETag: etag, "Cache-Control": "no-cache" }).json(content);
+});
 app.use(express.static(publicDir, { etag: false, maxAge: 0 }));
-const planPath = path.join(publicDir, "plan.json");
 
-// Persistent state file (stored on disk)
-const statePath = path.join(__dirname, "state.json");
+const setDocumentEtag = (res, file) => res.set("ETag", readDocument(file).etag);
 
-const readJsonFile = (filePath) => {
-  try {
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
-  } catch {
-    return null;
+// Writes must name the version they started from. A stale If-Match gets a 409 with the
+// current document so the client can reconcile; a missing one gets a 428.
+const checkIfMatch = (req, res, file) => {
+  const { etag, content } = readDocument(file);
+  const header = req.get("If-Match");
+  if (!header) {
+    res.status(428).json({ error: "If-Match header is required", etag });
+    return false;
   }
-};
 
-const readState = () => {
-  if (!fs.existsSync(statePath)) return null;
-  return readJsonFile(statePath);
+  const matches = header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+  if (!matches) {
+    res
+      .status(409)
+      .set("ETag", etag)
+      .json({
+        error: `${DOCUMENT_LABELS[file]} changed since it was loaded`,
+        etag,
+        current: content ?? (file === "state" ? {} : null),
+      });
+    return false;
+  }
+  return true;
 };
 
-const writeState = (obj) => {
-  fs.writeFileSync(statePath, JSON.stringify(obj, null, 2), "utf8");
-};
+const describeRequest = (req) => `${req.method} ${req.path}`;
 
-const readPlan = () => {
-  if (!fs.existsSync(planPath)) return null;
-  return readJsonFile(planPath);
-};
+const YEAR_MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
 
-const writePlan = (plan) => {
-  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2), "utf8");
-};
+const entryTouchesAccount = (entry, accountId) =>
+  entry.account === accountId ||
+  Object.prototype.hasOwnProperty.call(entry.credited || {}, accountId);
 
 app.get("/api/meta", (_req, res) => {
   res.json({
     api_version: API_VERSION,
     capabilities: {
       save_current_values_to_plan: true,
+      named_accounts: true,
+      journal: true,
+      checkins: true,
+      stage_editor: true,
+      revisions: true,
+      if_match: true,
+      transactions: true,
+      schedule: true,
+      projection_api: true,
+      live_reload: true,
     },
   });
 });
 
+// Server-Sent Events: open dashboards hear when plan.json or state.json changes on disk,
+// whether this server, cli.js or a text editor wrote it. A new connection first gets the
+// current ETags, so a tab that reconnects after a restart notices what it missed.
+const eventStreams = new Set();
+const EVENT_HEARTBEAT_MS = 25_000;
+
+const formatChangeEvent = (file, etag) =>
+  `event: change\ndata: ${JSON.stringify({ file, etag })}\n\n`;
+
+watchDocuments((file, etag) => {
+  const message = formatChangeEvent(file, etag);
+  eventStreams.forEach((res) => res.write(message));
+});
+
+app.get("/api/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+  Object.keys(DOCUMENT_FILES).forEach((file) => {
+    res.write(formatChangeEvent(file, readDocument(file).etag));
+  });
+
+  eventStreams.add(res);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), EVENT_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventStreams.delete(res);
+  });
+});
+
 // GET state
 app.get("/api/state", (_req, res) => {
-  const s = readState();
-  if (!s) return res.json({}); // empty if not created yet
-  res.json(s);
+  const { etag, content } = readDocument("state");
+  res.set("ETag", etag);
+  if (!content) return res.json({}); // empty if not created yet
+  res.json(content);
 });
 
 // PUT state
 app.put("/api/state", (req, res) => {
+  if (!checkIfMatch(req, res, "state")) return undefined;
   const body = req.body || {};
   // Keep a tiny persisted snapshot so monthly rollovers survive restarts.
   const out = {
-    current_longterm: toFiniteNumber(body.current_longterm),
-    current_buffer: toFiniteNumber(body.current_buffer),
+    balances: toAmountMap(body.balances, body, "current_"),
     last_monthly_savings_added_ym:
       typeof body.last_monthly_savings_added_ym === "string"
         ? body.last_monthly_savings_added_ym
         : null,
-    plan_seed_longterm: toFiniteNumber(body.plan_seed_longterm),
-    plan_seed_buffer: toFiniteNumber(body.plan_seed_buffer),
+    plan_seeds: toAmountMap(body.plan_seeds, body, "plan_seed_"),
     updated_at: new Date().toISOString(),
   };
-  writeState(out);
-  res.json(out);
+  try {
+    writeState(out, { source: describeRequest(req) });
+  } catch {
+    return res.status(500).json({ error: "Could not write state.json" });
+  }
+  setDocumentEtag(res, "state");
+  return res.json(out);
 });
 
 app.put("/api/plan/current-values", (req, res) => {
+  if (!checkIfMatch(req, res, "plan")) return undefined;
   const plan = readPlan();
   if (!plan || typeof plan !== "object") {
     return res.status(500).json({ error: "Could not read public/plan.json" });
   }
 
-  const body = req.body || {};
-  const currentLongterm = toFiniteNumber(body.current_longterm);
-  const currentBuffer = toFiniteNumber(body.current_buffer);
-
-  const nextPlan = {
-    ...plan,
-    goal: {
-      ...(plan.goal || {}),
-      current_longterm: currentLongterm,
-      current_buffer: currentBuffer,
-    },
-  };
+  const result = applyBalanceSave(plan, req.body || {});
+  if (result.error) return res.status(400).json({ error: result.error });
 
   try {
-    writePlan(nextPlan);
+    writeBalanceSave(result.plan, describeRequest(req));
   } catch {
     return res.status(500).json({ error: "Could not write public/plan.json" });
   }
 
+  try {
+    appendJournalEntries(result.adjustments);
+  } catch {
+    return res.status(500).json({ error: "Saved plan.json, but could not write the journal" });
+  }
+
+  setDocumentEtag(res, "plan");
   return res.json({
-    goal: nextPlan.goal,
+    goal: result.plan.goal,
+    accounts: result.plan.accounts,
     saved_at: new Date().toISOString(),
   });
 });
 
-app.listen(PORT, "127.0.0.1", () => {
-  console.log(`Dashboard running on http://127.0.0.1:${PORT}`);
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const readStages = (plan) => (Array.isArray(plan?.stages) ? plan.stages : []);
+
+const parseStageIndex = (value, stages) => {
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 && index < stages.length ? index : null;
+};
+
+const stageAccountChecker = (plan) => {
+  const ids = new Set(LEGACY_ACCOUNT_IDS);
+  (Array.isArray(plan?.accounts) ? plan.accounts : []).forEach((account) => {
+    if (typeof account?.id === "string") ids.add(account.id);
+  });
+  return (id) => ids.has(id);
+};
+
+// Every plan edit goes through the same validatePlan the dashboard runs on load.
+const savePlanEdit = (req, res, nextPlan, status = 200) => {
+  const issues = validatePlan(nextPlan);
+  if (issues.length > 0) {
+    return res.status(400).json({ error: "The edited plan is invalid", issues });
+  }
+
+  try {
+    writePlan(nextPlan, { source: describeRequest(req) });
+  } catch {
+    return res.status(500).json({ error: "Could not write public/plan.json" });
+  }
+  setDocumentEtag(res, "plan");
+  return res.status(status).json({ plan: nextPlan, saved_at: new Date().toISOString() });
+};
+
+// Rejects a stage body with field-level errors before it touches the plan.
+const readStageBody = (req, res, plan) => {
+  const stage = req.body?.stage;
+  if (!isPlainObject(stage)) {
+    res.status(400).json({ error: "stage must be an object" });
+    return null;
+  }
+
+  const fields = validateStage(stage, { isKnownAccountId: stageAccountChecker(plan) });
+  if (fields.length > 0) {
+    res.status(400).json({ error: "The stage has invalid fields", fields });
+    return null;
+  }
+  return stage;
+};
+
+// Edits (anything but GET) must carry the plan's ETag in If-Match.
+const withPlan = (handler) => (req, res) => {
+  if (req.method !== "GET" && !checkIfMatch(req, res, "plan")) return undefined;
+  const plan = readPlan();
+  if (!isPlainObject(plan)) {
+    return res.status(500).json({ error: "Could not read public/plan.json" });
+  }
+  return handler(req, res, plan);
+};
+
+// Read endpoints only answer for a plan the dashboard would accept, like cli.js.
+const withValidPlan = (handler) =>
+  withPlan((req, res, plan) => {
+    const issues = validatePlan(plan);
+    if (issues.length > 0) {
+      return res.status(422).json({ error: "plan.json is invalid", issues });
+    }
+    return handler(req, res, plan);
+  });
+
+app.get(
+  "/api/plan/stages",
+  withPlan((_req, res, plan) => setDocumentEtag(res, "plan").json({ stages: readStages(plan) }))
+);
+
+// POST a new stage: { stage, index? }. Without an index it is appended.
+app.post(
+  "/api/plan/stages",
+  withPlan((req, res, plan) => {
+    const stage = readStageBody(req, res, plan);
+    if (!stage) return undefined;
+
+    const stages = [...readStages(plan)];
+    const requested = req.body.index;
+    const index =
+      Number.isInteger(requested) && requested >= 0 && requested <= stages.length
+        ? requested
+        : stages.length;
+    stages.splice(index, 0, stage);
+    return savePlanEdit(req, res, { ...plan, stages }, 201);
+  })
+);
+
+// PUT a new order: { order: [oldIndex, ...] } listing every current index once.
+app.put(
+  "/api/plan/stages/order",
+  withPlan((req, res, plan) => {
+    const stages = readStages(plan);
+    const order = req.body?.order;
+    const isPermutation =
+      Array.isArray(order) &&
+      order.length === stages.length &&
+      new Set(order).size === stages.length &&
+      order.every((index) => parseStageIndex(index, stages) !== null);
+    if (!isPermutation) {
+      return res.status(400).json({
+        error: "order must list every stage index exactly once",
+        fields: [{ field: "order", message: `Expected a permutation of 0-${stages.length - 1}.` }],
+      });
+    }
+    return savePlanEdit(req, res, { ...plan, stages: order.map((index) => stages[index]) });
+  })
+);
+
+// PUT replaces one stage: { stage }.
+app.put(
+  "/api/plan/stages/:index",
+  withPlan((req, res, plan) => {
+    const stages = [...readStages(plan)];
+    const index = parseStageIndex(req.params.index, stages);
+    if (index === null) return res.status(404).json({ error: "Unknown stage" });
+
+    const stage = readStageBody(req, res, plan);
+    if (!stage) return undefined;
+
+    stages[index] = stage;
+    return savePlanEdit(req, res, { ...plan, stages });
+  })
+);
+
+app.delete(
+  "/api/plan/stages/:index",
+  withPlan((req, res, plan) => {
+    const stages = [...readStages(plan)];
+    const index = parseStageIndex(req.params.index, stages);
+    if (index === null) return res.status(404).json({ error: "Unknown stage" });
+
+    stages.splice(index, 1);
+    return savePlanEdit(req, res, { ...plan, stages });
+  })
+);
+
+// PUT goal targets: { target_year, targets: { accountId: amount } }. Named accounts keep
+// their target in `accounts[].target`, the legacy pots in `goal.target_<id>`.
+app.put(
+  "/api/plan/goal",
+  withPlan((req, res, plan) => {
+    const body = req.body || {};
+    const fields = [];
+    const goal = { ...(plan.goal || {}) };
+    const accounts = Array.isArray(plan.accounts) ? plan.accounts : null;
+    const targets = {};
+
+    if (body.target_year !== undefined) {
+      if (Number.isInteger(body.target_year) && body.target_year >= 1900) {
+        goal.target_year = body.target_year;
+      } else {
+        fields.push({ field: "target_year", message: "target_year must be a year." });
+      }
+    }
+
+    if (body.targets !== undefined && !isPlainObject(body.targets)) {
+      fields.push({ field: "targets", message: "targets must be an object keyed by account id." });
+    }
+    Object.entries(isPlainObject(body.targets) ? body.targets : {}).forEach(([id, amount]) => {
+      const isNamed = accounts?.some((account) => account?.id === id);
+      if (!isNamed && !LEGACY_ACCOUNT_IDS.includes(id)) {
+        fields.push({ field: `targets.${id}`, message: `Unknown account "${id}".` });
+      } else if (typeof amount !== "number" || !Number.isFinite(amount) || amount < 0) {
+        fields.push({ field: `targets.${id}`, message: "Target must be a number of 0 or more." });
+      } else {
+        targets[id] = amount;
+      }
+    });
+
+    if (fields.length > 0) {
+      return res.status(400).json({ error: "The goal has invalid fields", fields });
+    }
+
+    const nextAccounts = accounts
+      ? accounts.map((account) =>
+          Object.prototype.hasOwnProperty.call(targets, account?.id)
+            ? { ...account, target: targets[account.id] }
+            : account
+        )
+      : undefined;
+    Object.entries(targets).forEach(([id, amount]) => {
+      if (!nextAccounts?.some((account) => account?.id === id)) goal[`target_${id}`] = amount;
+    });
+
+    return savePlanEdit(req, res, {
+      ...plan,
+      goal,
+      ...(nextAccounts ? { accounts: nextAccounts } : {}),
+    });
+  })
+);
+
+// Lists every changed leaf between two JSON values as { path, before, after }.
+const diffJson = (before, after, pathPrefix = "") => {
+  const isContainer = (value) => Boolean(value) && typeof value === "object";
+  const sameShape =
+    isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after);
+  if (!sameShape) {
+    return JSON.stringify(before) === JSON.stringify(after)
+      ? []
+      : [{ path: pathPrefix || "$", before: before ?? null, after: after ?? null }];
+  }
+
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys.flatMap((key) => {
+    const childPath = Array.isArray(before)
+      ? `${pathPrefix}[${key}]`
+      : `${pathPrefix}${pathPrefix ? "." : ""}${key}`;
+    return diffJson(before[key], after[key], childPath);
+  });
+};
+
+const summarizeRevision = ({ content: _content, ...revision }) => revision;
+
+const findRevision = (id) => readRevisions().find((revision) => revision.id === id) || null;
+
+// GET revisions, newest first, without their content. Filters: file (plan|state), limit.
+app.get("/api/revisions", (req, res) => {
+  const { file } = req.query;
+  if (file !== undefined && !Object.prototype.hasOwnProperty.call(DOCUMENT_FILES, file)) {
+    return res.status(400).json({ error: "file must be plan or state" });
+  }
+
+  const limit = Math.min(Math.max(Math.trunc(toFiniteNumber(req.query.limit)) || 50, 1), 200);
+  const revisions = readRevisions().filter((revision) => !file || revision.file === file);
+  return res.json({
+    total: revisions.length,
+    revisions: revisions.slice(0, limit).map(summarizeRevision),
+  });
+});
+
+// GET the changes between two revisions of the same file; `to` defaults to the file on disk.
+app.get("/api/revisions/diff", (req, res) => {
+  const from = findRevision(req.query.from);
+  if (!from) return res.status(404).json({ error: "Unknown revision in from" });
+
+  let to = null;
+  if (req.query.to && req.query.to !== "current") {
+    to = findRevision(req.query.to);
+    if (!to) return res.status(404).json({ error: "Unknown revision in to" });
+    if (to.file !== from.file) {
+      return res.status(400).json({ error: "Both revisions must be of the same file" });
+    }
+  }
+
+  const after = to ? to.content : readJsonFile(DOCUMENT_FILES[from.file]);
+  return res.json({
+    file: from.file,
+    from: from.id,
+    to: to ? to.id : "current",
+    changes: diffJson(from.content, after),
+  });
+});
+
+app.get("/api/revisions/:id", (req, res) => {
+  const revision = findRevision(req.params.id);
+  if (!revision) return res.status(404).json({ error: "Unknown revision" });
+  return res.json(revision);
+});
+
+// POST restores one revision. The content it replaces becomes a revision of its own.
+app.post("/api/revisions/:id/restore", (req, res) => {
+  const revision = findRevision(req.params.id);
+  if (!revision) return res.status(404).json({ error: "Unknown revision" });
+
+  if (!checkIfMatch(req, res, revision.file)) return undefined;
+
+  const meta = { source: describeRequest(req), restores: revision.id };
+  if (revision.file === "plan") {
+    const issues = revision.content ? validatePlan(revision.content) : ["plan.json was missing."];
+    if (issues.length > 0) {
+      return res.status(400).json({ error: "The revision is not a valid plan", issues });
+    }
+  }
+
+  try {
+    if (revision.file === "plan") writePlan(revision.content, meta);
+    else writeState(revision.content, meta);
+  } catch {
+    return res.status(500).json({ error: `Could not restore ${revision.file}` });
+  }
+  setDocumentEtag(res, revision.file);
+  return res.json({
+    file: revision.file,
+    content: revision.content,
+    restored_at: new Date().toISOString(),
+  });
+});
+
+// POST undoes the latest balance save that has not been undone yet, restoring plan.json
+// and state.json together. Repeating it steps further back.
+app.post("/api/plan/current-values/undo", (req, res) => {
+  if (!checkIfMatch(req, res, "plan")) return undefined;
+  const revisions = readRevisions();
+  const undone = new Set(revisions.map((revision) => revision.undoes).filter(Boolean));
+  // Only balance saves (from the dashboard or `cli.js set-balance`) carry a change id.
+  const planRevision = revisions.find(
+    (revision) => revision.file === "plan" && revision.change && !undone.has(revision.change)
+  );
+  if (!planRevision?.content) {
+    return res.status(404).json({ error: "There is no balance save to undo" });
+  }
+
+  const stateRevision = revisions.find(
+    (revision) => revision.file === "state" && revision.change === planRevision.change
+  );
+  const liveBalances = toAmountMap(readState()?.balances);
+  const meta = { source: describeRequest(req), undoes: planRevision.change };
+
+  try {
+    writePlan(planRevision.content, meta);
+    if (stateRevision) writeState(stateRevision.content, meta);
+  } catch {
+    return res.status(500).json({ error: "Could not restore the previous balances" });
+  }
+
+  const restoredBalances = toAmountMap(stateRevision?.content?.balances);
+  const adjustments = Object.entries(restoredBalances)
+    .filter(
+      ([id, amount]) =>
+        Object.prototype.hasOwnProperty.call(liveBalances, id) && amount !== liveBalances[id]
+    )
+    .map(([id, amount]) => ({
+      type: "adjustment",
+      account: id,
+      amount: amount - liveBalances[id],
+      balance_before: liveBalances[id],
+      balance_after: amount,
+      note: "Undo last save",
+    }));
+  try {
+    appendJournalEntries(adjustments);
+  } catch {
+    return res
+      .status(500)
+      .json({ error: "Restored the balances, but could not write the journal" });
+  }
+
+  setDocumentEtag(res, "plan");
+  return res.json({
+    plan: planRevision.content,
+    state: stateRevision ? stateRevision.content : readState(),
+    etags: { plan: readDocument("plan").etag, state: readDocument("state").etag },
+    restored_at: new Date().toISOString(),
+  });
+});
+
+// GET journal, newest first. Filters: type, account, from/to (YYYY-MM), limit.
+app.get("/api/journal", (req, res) => {
+  const { type, account, from, to } = req.query;
+  const limit = Math.min(500, Math.max(1, Math.floor(toFiniteNumber(req.query.limit)) || 100));
+
+  if ((from && !YEAR_MONTH_PATTERN.test(from)) || (to && !YEAR_MONTH_PATTERN.test(to))) {
+    return res.status(400).json({ error: "from and to must be YYYY-MM" });
+  }
+
+  const entries = readJournal()
+    .filter((entry) => !type || entry.type === type)
+    .filter((entry) => !account || entryTouchesAccount(entry, account))
+    .filter((entry) => !from || entry.month >= from)
+    .filter((entry) => !to || entry.month <= to)
+    .reverse();
+
+  return res.json({ entries: entries.slice(0, limit), total: entries.length });
+});
+
+// POST rollover records from the client; months already journaled are skipped.
+app.post("/api/journal", (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.entries)) {
+    return res.status(400).json({ error: "entries must be an array" });
+  }
+
+  const rollovers = [];
+  for (const entry of body.entries) {
+    if (entry?.type !== "rollover" || !YEAR_MONTH_PATTERN.test(entry.month || "")) {
+      return res.status(400).json({ error: "Only rollover entries with a YYYY-MM month" });
+    }
+    rollovers.push({
+      type: "rollover",
+      month: entry.month,
+      stage: typeof entry.stage === "string" ? entry.stage : null,
+      credited: toAmountMap(entry.credited),
+      growth: toAmountMap(entry.growth),
+      balances: toAmountMap(entry.balances),
+    });
+  }
+
+  try {
+    const added = appendRolloverEntries(rollovers);
+    return res.json({ added: added.length });
+  } catch {
+    return res.status(500).json({ error: "Could not write the journal" });
+  }
+});
+
+// GET every recorded check-in, oldest first (the full history, including re-recordings).
+app.get("/api/checkins", (_req, res) => {
+  res.json({ checkins: readJsonLines(checkinsPath) });
+});
+
+// POST a month-end check-in: { month: "YYYY-MM", balances: { accountId: amount }, note }.
+app.post("/api/checkins", (req, res) => {
+  const body = req.body || {};
+  if (!YEAR_MONTH_PATTERN.test(body.month || "")) {
+    return res.status(400).json({ error: "month must be YYYY-MM" });
+  }
+
+  const balances = toAmountMap(body.balances);
+  if (Object.keys(balances).length === 0) {
+    return res.status(400).json({ error: "balances must include at least one account" });
+  }
+
+  const checkin = {
+    id: crypto.randomUUID(),
+    month: body.month,
+    balances,
+    note: typeof body.note === "string" ? body.note.trim().slice(0, 200) : "",
+    recorded_at: new Date().toISOString(),
+  };
+
+  try {
+    appendJsonLines(checkinsPath, [checkin]);
+  } catch {
+    return res.status(500).json({ error: "Could not write check-ins" });
+  }
+  return res.json(checkin);
+});
+
+// GET imported transactions, oldest first. Filters: from/to (YYYY-MM).
+app.get("/api/transactions", (req, res) => {
+  const { from, to } = req.query;
+  if ((from && !YEAR_MONTH_PATTERN.test(from)) || (to && !YEAR_MONTH_PATTERN.test(to))) {
+    return res.status(400).json({ error: "from and to must be YYYY-MM" });
+  }
+
+  const transactions = readJsonLines(transactionsPath)
+    .filter((transaction) => !from || transaction.month >= from)
+    .filter((transaction) => !to || transaction.month <= to)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return res.json({ transactions });
+});
+
+const transactionKey = (transaction) =>
+  `${transaction.date}|${transaction.amount}|${transaction.description}`;
+
+// POST a bank export: { csv, bank?, mapping?: { date, description, amount, delimiter,
+// decimal } }. Exports usually overlap, so a row is only added as many times as it
+// appears beyond what earlier imports already stored.
+app.post("/api/transactions/import", (req, res) => {
+  const body = req.body || {};
+  if (typeof body.csv !== "string" || body.csv.trim() === "") {
+    return res.status(400).json({ error: "csv must be the text of a bank export" });
+  }
+  if (body.bank !== undefined && !Object.prototype.hasOwnProperty.call(BANK_PRESETS, body.bank)) {
+    return res.status(400).json({
+      error: `bank must be one of ${Object.keys(BANK_PRESETS).join(", ")}`,
+    });
+  }
+
+  const { transactions, errors } = parseTransactions(body.csv, {
+    bank: body.bank,
+    mapping: body.mapping,
+  });
+  if (transactions.length === 0) {
+    return res.status(400).json({ error: "No transactions could be read", errors });
+  }
+
+  const stored = new Map();
+  readJsonLines(transactionsPath).forEach((transaction) => {
+    const key = transactionKey(transaction);
+    stored.set(key, (stored.get(key) || 0) + 1);
+  });
+
+  const importedAt = new Date().toISOString();
+  const source = body.bank || "custom";
+  const added = transactions
+    .filter((transaction) => {
+      const key = transactionKey(transaction);
+      const remaining = stored.get(key) || 0;
+      if (remaining > 0) {
+        stored.set(key, remaining - 1);
+        return false;
+      }
+      return true;
+    })
+    .map((transaction) => ({
+      id: crypto.randomUUID(),
+      ...transaction,
+      source,
+      imported_at: importedAt,
+    }));
+
+  try {
+    appendJsonLines(transactionsPath, added);
+  } catch {
+    return res.status(500).json({ error: "Could not write transactions" });
+  }
+
+  const months = [...new Set(transactions.map((transaction) => transaction.month))].sort();
+  return res.json({
+    added: added.length,
+    duplicates: transactions.length - added.length,
+    from: months[0],
+    to: months[months.length - 1],
+    errors: errors.slice(0, 20),
+    error_count: errors.length,
+  });
+});
+
+const SCHEDULE_FORMATS = ["json", "csv"];
+
+// GET the month-by-month projection until the goal is reached.
+// Query: format=json|csv, locale=sv-SE (csv only), from=YYYY-MM.
+app.get(
+  "/api/schedule",
+  withValidPlan((req, res, plan) => {
+    const { format = "json", locale, from } = req.query;
+    if (!SCHEDULE_FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ error: `format must be one of ${SCHEDULE_FORMATS.join(", ")}` });
+    }
+    if (from && !YEAR_MONTH_PATTERN.test(from)) {
+      return res.status(400).json({ error: "from must be YYYY-MM" });
+    }
+
+    const now = new Date();
+    const state = readCurrentState(plan, now);
+    if (!state) {
+      return res
+        .status(422)
+        .json({ error: `The balance history does not reach back to ${formatDay(now)}` });
+    }
+    const schedule = buildProjectionSchedule({
+      stages: readStages(plan),
+      goal: plan.goal,
+      accounts: resolveAccounts(plan),
+      balances: state.balances,
+      events: Array.isArray(plan.events) ? plan.events : [],
+      from,
+      taxCore: TaxCore,
+      municipalRate: plan.assumptions?.tax?.municipal_rate,
+      now,
+    });
+    if (!schedule) {
+      return res.status(422).json({ error: "The plan does not have enough data for a projection" });
+    }
+
+    if (format === "json") return res.json(schedule);
+
+    // Excel only reads UTF-8 (å, ä, ö in stage names) when the file starts with a BOM.
+    const csv = formatScheduleCsv(schedule, { locale });
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="schedule.csv"');
+    return res.send(locale === "sv-SE" ? `\uFEFF${csv}` : csv);
+  })
+);
+
+const formatDay = (date) =>
+  `${getCurrentYearMonth(date)}-${String(date.getDate()).padStart(2, "0")}`;
+
+const formatProjection = (projection) => ({
+  reached: Boolean(projection?.reached),
+  date: projection?.reached && projection.date ? formatDay(projection.date) : null,
+});
+
+const RATE_OVERRIDES = { rate: "longterm", buffer_rate: "buffer" };
+
+// Query overrides for the read-only projection endpoints: `as_of` (YYYY-MM-DD or YYYY-MM)
+// stands in for today, `rate` and `buffer_rate` replace the assumed annual returns.
+const readProjectionQuery = (query) => {
+  let now = new Date();
+  if (query.as_of !== undefined) {
+    const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(String(query.as_of));
+    const [year, month, day] = match ? [match[1], match[2], match[3] || 1].map(Number) : [];
+    now = match ? new Date(year, month - 1, day) : null;
+    if (!now || now.getMonth() !== month - 1 || now.getDate() !== day) {
+      return { error: "as_of must be YYYY-MM-DD or YYYY-MM" };
+    }
+  }
+
+  const rates = {};
+  for (const [key, accountId] of Object.entries(RATE_OVERRIDES)) {
+    if (query[key] === undefined) continue;
+    const value = typeof query[key] === "string" && query[key] !== "" ? Number(query[key]) : NaN;
+    if (!Number.isFinite(value) || value <= -1) {
+      return { error: `${key} must be an annual rate above -1, such as 0.05` };
+    }
+    rates[accountId] = value;
+  }
+  return { now, rates };
+};
+
+// Everything the projection endpoints share: the state at `now` and the plan's accounts
+// with any rate overrides applied. Null when the balance history does not reach `now`.
+const readProjectionContext = (plan, { now, rates }) => {
+  const state = readCurrentState(plan, now);
+  if (!state) return null;
+  return {
+    now,
+    state,
+    stages: readStages(plan),
+    goal: plan.goal || {},
+    events: Array.isArray(plan.events) ? plan.events : [],
+    rates,
+    accounts: applyScenarioRates(resolveAccounts(plan), rates),
+  };
+};
+
+const projectContext = ({ now, state, stages, goal, events }, accounts) => {
+  const buffer = accounts.find((account) => account.id === "buffer");
+  return {
+    goal: formatProjection(
+      projectGoalDate({ stages, goal, accounts, balances: state.balances, events, now })
+    ),
+    buffer: formatProjection(
+      projectBufferDate({
+        stages,
+        goal,
+        currentBuffer: state.balances.buffer ?? 0,
+        bufferRate: buffer?.annualRate,
+        events,
+        now,
+      })
+    ),
+  };
+};
+
+// Planned amounts for a run of months, from sumStageMonths.
+const summarizeMonths = (context, plan, from, months) => {
+  const sum = sumStageMonths({
+    stages: context.stages,
+    accounts: context.accounts,
+    from,
+    months,
+    taxCore: TaxCore,
+    municipalRate: plan.assumptions?.tax?.municipal_rate,
+  });
+  const { totals } = sum;
+  return {
+    from: sum.from,
+    to: sum.to,
+    income: totals.incomePreTax,
+    tax: totals.tax,
+    net_income: totals.netIncome,
+    fixed_costs: totals.fixedCosts,
+    household: totals.household,
+    savings: sum.savings,
+    savings_total: totals.savingsTotal,
+    leftover: totals.leftover,
+  };
+};
+
+const withProjectionQuery = (handler) =>
+  withValidPlan((req, res, plan) => {
+    const query = readProjectionQuery(req.query);
+    if (query.error) return res.status(400).json({ error: query.error });
+    const context = readProjectionContext(plan, query);
+    if (!context) {
+      return res.status(422).json({
+        error: `The balance history does not reach back to ${formatDay(query.now)}`,
+      });
+    }
+    return handler(req, res, plan, context);
+  });
+
+// GET goal, buffer and per-account dates, under the plan's rates and every scenario.
+// Query: as_of, rate, buffer_rate.
+app.get(
+  "/api/projection",
+  withProjectionQuery((_req, res, plan, context) => {
+    const { now, state, stages, goal, events, accounts, rates } = context;
+    const scenarios = resolveReturnAssumptions(plan, rates).scenarios.map((scenario) => {
+      const rated = applyScenarioRates(accounts, scenario);
+      return {
+        label: scenario.label,
+        rates: Object.fromEntries(rated.map((account) => [account.id, account.annualRate])),
+        ...projectContext(context, rated),
+      };
+    });
+
+    return res.json({
+      as_of: formatDay(now),
+      last_applied_month: state.lastMonthlySavingsAddedYm,
+      ...projectContext(context, accounts),
+      accounts: accounts.map((account) => ({
+        id: account.id,
+        name: account.name,
+        balance: state.balances[account.id] ?? 0,
+        target: account.target,
+        annual_rate: account.annualRate,
+        ...formatProjection(
+          projectAccountDate({
+            stages,
+            goal,
+            account,
+            balance: state.balances[account.id] ?? 0,
+            events,
+            now,
+          })
+        ),
+      })),
+      scenarios,
+    });
+  })
+);
+
+// GET the stage that applies in a month, with its indexed amounts and what it plans.
+// Query: ym (YYYY-MM, default the month of as_of), as_of.
+app.get(
+  "/api/stage",
+  withProjectionQuery((req, res, plan, context) => {
+    const ym = req.query.ym ?? getCurrentYearMonth(context.now);
+    if (typeof ym !== "string" || !YEAR_MONTH_PATTERN.test(ym)) {
+      return res.status(400).json({ error: "ym must be YYYY-MM" });
+    }
+
+    const stage = findStageForYearMonth(context.stages, ym);
+    if (!stage) return res.status(404).json({ error: "The plan has no stages" });
+    const { from, to, ...planned } = summarizeMonths(context, plan, ym, 1);
+    return res.json({
+      month: ym,
+      stage,
+      in_range: stage.from <= ym && (!stage.to || ym <= stage.to),
+      net_income_source: typeof stage.net_income === "number" ? "plan" : "computed",
+      ...planned,
+    });
+  })
+);
+
+// GET one overview: balances, progress, projected dates and this month's and year's plan.
+// Query: as_of, rate, buffer_rate.
+app.get(
+  "/api/summary",
+  withProjectionQuery((_req, res, plan, context) => {
+    const { now, state, stages, accounts } = context;
+    const month = getCurrentYearMonth(now);
+
+    return res.json({
+      as_of: formatDay(now),
+      month,
+      stage: findStageForYearMonth(stages, month)?.name ?? null,
+      last_applied_month: state.lastMonthlySavingsAddedYm,
+      accounts: accounts.map((account) => {
+        const balance = state.balances[account.id] ?? 0;
+        return {
+          id: account.id,
+          name: account.name,
+          balance,
+          target: account.target,
+          progress: account.target > 0 ? balance / account.target : null,
+        };
+      }),
+      ...projectContext(context, accounts),
+      this_month: summarizeMonths(context, plan, month, 1),
+      this_year: summarizeMonths(context, plan, `${now.getFullYear()}-01`, 12),
+    });
+  })
+);
+
+app.listen(PORT, HOST, () => {
+  console.log(`Dashboard running on http://${HOST}:${PORT}`);
 });
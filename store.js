@@ -0,0 +1,313 @@
+// Everything the server and the command line read from and write to disk: plan.json,
+// state.json, their revisions and the append-only .jsonl logs.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  applyBalanceChanges,
+  getCurrentYearMonth,
+  getStateAsOf,
+  reconcileGoalState,
+  resolveAccounts,
+} = require("./public/app-core.js");
+
+const toFiniteNumber = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const ACCOUNT_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const LEGACY_ACCOUNT_IDS = ["longterm", "buffer"];
+
+// Reads an { accountId: amount } map, falling back to the flat two-pot fields
+// (`current_longterm`, `plan_seed_buffer`, ...) that older clients send.
+const toAmountMap = (value, body, legacyPrefix) => {
+  const out = {};
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    Object.entries(value).forEach(([id, amount]) => {
+      if (ACCOUNT_ID_PATTERN.test(id)) out[id] = toFiniteNumber(amount);
+    });
+    return out;
+  }
+
+  LEGACY_ACCOUNT_IDS.forEach((id) => {
+    const key = `${legacyPrefix}${id}`;
+    if (body && Object.prototype.hasOwnProperty.call(body, key)) {
+      out[id] = toFiniteNumber(body[key]);
+    }
+  });
+  return out;
+};
+
+const planPath = path.join(__dirname, "public", "plan.json");
+// Persistent state file (stored on disk)
+const statePath = path.join(__dirname, "state.json");
+
+const readJsonFile = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+};
+
+// Writes to a temp file and renames it over the target, so a crash mid-write leaves
+// the old file or the new one, never half of either.
+const writeJsonFileAtomic = (filePath, value) => {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, "w");
+    try {
+      fs.writeFileSync(fd, JSON.stringify(value, null, 2), "utf8");
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+};
+
+const readState = () => {
+  if (!fs.existsSync(statePath)) return null;
+  return readJsonFile(statePath);
+};
+
+// Rolling history: before plan.json or state.json is overwritten, the old content is
+// saved under revisions/ with the endpoint or command that replaced it.
+const revisionsDir = path.join(__dirname, "revisions");
+const MAX_REVISIONS_PER_FILE = 50;
+const DOCUMENT_FILES = { plan: planPath, state: statePath };
+const DOCUMENT_LABELS = { plan: "public/plan.json", state: "state.json" };
+
+// The ETag is a hash of the bytes on disk; a missing file has an ETag of its own.
+const readDocument = (file) => {
+  const filePath = DOCUMENT_FILES[file];
+  const raw = fs.existsSync(filePath) ? fs.readFileSync(filePath) : Buffer.alloc(0);
+  const hash = crypto.createHash("sha1").update(raw).digest("hex").slice(0, 20);
+  return { etag: `"${hash}"`, content: raw.length > 0 ? readJsonFile(filePath) : null };
+};
+
+// state.json stamps every write, so only a change elsewhere counts as a new revision.
+const comparableContent = (file, content) => {
+  if (file !== "state" || !content) return JSON.stringify(content);
+  const { updated_at: _updatedAt, ...rest } = content;
+  return JSON.stringify(rest);
+};
+
+const readRevisions = () => {
+  if (!fs.existsSync(revisionsDir)) return [];
+  return fs
+    .readdirSync(revisionsDir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .reverse()
+    .map((name) => readJsonFile(path.join(revisionsDir, name)))
+    .filter(Boolean);
+};
+
+const pruneRevisions = (file) => {
+  readRevisions()
+    .filter((revision) => revision.file === file)
+    .slice(MAX_REVISIONS_PER_FILE)
+    .forEach((revision) => {
+      fs.rmSync(path.join(revisionsDir, `${revision.id}.json`), { force: true });
+    });
+};
+
+// `meta` is { source, change?, undoes?, restores? }. Pass `next` to skip no-op writes.
+const recordRevision = (file, meta, next) => {
+  const previous = readJsonFile(DOCUMENT_FILES[file]);
+  if (next !== undefined && comparableContent(file, previous) === comparableContent(file, next)) {
+    return null;
+  }
+
+  const timestamp = new Date().toISOString();
+  const revision = {
+    id: `${timestamp.replace(/[-:.]/g, "")}-${crypto.randomUUID().slice(0, 8)}`,
+    file,
+    timestamp,
+    ...meta,
+    content: previous,
+  };
+  fs.mkdirSync(revisionsDir, { recursive: true });
+  writeJsonFileAtomic(path.join(revisionsDir, `${revision.id}.json`), revision);
+  pruneRevisions(file);
+  return revision;
+};
+
+// A null state removes state.json, which is how a revision records "no file yet".
+const writeState = (obj, meta) => {
+  recordRevision("state", meta, obj);
+  if (obj === null) {
+    fs.rmSync(statePath, { force: true });
+    return;
+  }
+  writeJsonFileAtomic(statePath, obj);
+};
+
+// Append-only journal, one JSON entry per line, so history survives crashes mid-write.
+const journalPath = path.join(__dirname, "journal.jsonl");
+// Month-end balance check-ins use the same format; re-recording a month appends.
+const checkinsPath = path.join(__dirname, "checkins.jsonl");
+// Imported bank transactions, appended per import.
+const transactionsPath = path.join(__dirname, "transactions.jsonl");
+
+const readJsonLines = (filePath) => {
+  if (!fs.existsSync(filePath)) return [];
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+const appendJsonLines = (filePath, entries) => {
+  const lines = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+  fs.appendFileSync(filePath, lines, "utf8");
+};
+
+const readJournal = () => readJsonLines(journalPath);
+
+const appendJournalEntries = (entries) => {
+  if (entries.length === 0) return [];
+  const now = new Date();
+  const timestamp = now.toISOString();
+  const stamped = entries.map((entry) => ({
+    id: crypto.randomUUID(),
+    timestamp,
+    month: getCurrentYearMonth(now),
+    ...entry,
+  }));
+  appendJsonLines(journalPath, stamped);
+  return stamped;
+};
+
+// Each closed month is journaled once, however many tabs or commands rolled it over.
+const appendRolloverEntries = (entries) => {
+  const journaled = new Set(
+    readJournal()
+      .filter((entry) => entry.type === "rollover")
+      .map((entry) => entry.month)
+  );
+  return appendJournalEntries(
+    entries.filter((entry) => {
+      if (journaled.has(entry.month)) return false;
+      journaled.add(entry.month);
+      return true;
+    })
+  );
+};
+
+const readPlan = () => {
+  if (!fs.existsSync(planPath)) return null;
+  return readJsonFile(planPath);
+};
+
+const writePlan = (plan, meta) => {
+  recordRevision("plan", meta, plan);
+  writeJsonFileAtomic(planPath, plan);
+};
+
+// A balance save as the server and cli.js receive it: `balances` and `previous_balances`
+// as { id: amount } maps (or the old flat `current_<id>` fields) and an optional note.
+const applyBalanceSave = (plan, body = {}) =>
+  applyBalanceChanges(plan, toAmountMap(body.balances, body, "current_"), {
+    previousBalances: toAmountMap(body.previous_balances),
+    note: typeof body.note === "string" ? body.note.trim().slice(0, 200) : "",
+  });
+
+// Writes the plan from applyBalanceSave. The state.json it makes stale is kept with the
+// plan revision under one `change` id, so undoing the save restores both.
+const writeBalanceSave = (nextPlan, source) => {
+  const meta = { source, change: crypto.randomUUID() };
+  recordRevision("state", meta);
+  writePlan(nextPlan, meta);
+};
+
+// The state the dashboard would show at `now`: stored state, reseeded today if the plan
+// changed, and rolled forward over months credited by `now`. A `now` before the last
+// rollover is rebuilt from the journal instead, and is null when the journal does not
+// go back that far. Not persisted.
+const readCurrentState = (plan, now) => {
+  const accounts = resolveAccounts(plan);
+  const events = Array.isArray(plan.events) ? plan.events : [];
+  const stages = Array.isArray(plan.stages) ? plan.stages : [];
+  const reconciled = reconcileGoalState(accounts, readState(), new Date(), { stages });
+  return getStateAsOf(reconciled, stages, now, { accounts, events, journal: readJournal() });
+};
+
+// Calls `listener(file, etag)` whenever plan.json or state.json ends up with new content,
+// whoever wrote it. Editors and writeJsonFileAtomic replace the file rather than write
+// into it, so the parent directories are watched. Returns a function that stops watching.
+const WATCH_DEBOUNCE_MS = 100;
+
+const watchDocuments = (listener) => {
+  const etags = {};
+  const timers = {};
+  const check = (file) => {
+    timers[file] = null;
+    let etag;
+    try {
+      ({ etag } = readDocument(file));
+    } catch {
+      return;
+    }
+    if (etag === etags[file]) return;
+    etags[file] = etag;
+    listener(file, etag);
+  };
+
+  const watchers = Object.entries(DOCUMENT_FILES).map(([file, filePath]) => {
+    etags[file] = readDocument(file).etag;
+    const name = path.basename(filePath);
+    return fs.watch(path.dirname(filePath), { persistent: false }, (_event, changed) => {
+      if (changed && changed !== name) return;
+      clearTimeout(timers[file]);
+      timers[file] = setTimeout(check, WATCH_DEBOUNCE_MS, file);
+    });
+  });
+
+  return () => {
+    watchers.forEach((watcher) => watcher.close());
+    Object.values(timers).forEach(clearTimeout);
+  };
+};
+
+module.exports = {
+  ACCOUNT_ID_PATTERN,
+  DOCUMENT_FILES,
+  DOCUMENT_LABELS,
+  LEGACY_ACCOUNT_IDS,
+  appendJournalEntries,
+  appendJsonLines,
+  appendRolloverEntries,
+  applyBalanceSave,
+  checkinsPath,
+  planPath,
+  readCurrentState,
+  readDocument,
+  readJournal,
+  readJsonFile,
+  readJsonLines,
+  readPlan,
+  readRevisions,
+  readState,
+  recordRevision,
+  toAmountMap,
+  toFiniteNumber,
+  transactionsPath,
+  watchDocuments,
+  writeBalanceSave,
+  writePlan,
+  writeState,
+};
@@ -2,11 +2,29 @@ const test = require("node:test");
 const assert = require("node:assert/strict");
 
 const {
+  applyBalanceChanges,
+  buildProjectionSchedule,
+  buildVarianceReport,
+  deflateAmount,
   findStageForYearMonth,
+  formatScheduleCsv,
+  getNextContributionDate,
+  getStateAsOf,
+  isBeforeState,
+  projectBalanceSeries,
+  projectBufferDate,
   projectGoalDate,
   reconcileGoalState,
+  replayJournalTo,
+  resolveAccounts,
+  resolveReturnAssumptions,
   rollGoalStateForward,
+  simulateDecumulation,
+  simulateGoalDates,
+  solveRequiredSavings,
+  sumStageMonths,
   validatePlan,
+  validateStage,
 } = require("../public/app-core.js");
 
 test("overlapping stages prefer the newer matching stage", () => {
@@ -34,9 +52,22 @@ test("plan validation rejects a stage with to earlier than from", () => {
   assert.match(issues.join("\n"), /to earlier than from/);
 });
 
+test("stage validation reports each bad field separately", () => {
+  const errors = validateStage(
+    { name: " ", from: "2026-06", to: "2026-05", income: "48000", savings: { boat: 100 } },
+    { isKnownAccountId: (id) => id === "longterm" }
+  );
+
+  assert.deepEqual(
+    errors.map((error) => error.field),
+    ["name", "to", "income", "savings.boat"]
+  );
+  assert.deepEqual(validateStage({ name: "Ok", from: "2026-06", saving_longterm: 5000 }), []);
+});
+
 test("changing the plan seed resets persisted balances back to plan.json", () => {
   const result = reconcileGoalState(
-    { current_longterm: 14000, current_buffer: 3000 },
+    resolveAccounts({ goal: { current_longterm: 14000, current_buffer: 3000 } }),
     {
       current_longterm: 19000,
       current_buffer: 4500,
@@ -48,23 +79,45 @@ test("changing the plan seed resets persisted balances back to plan.json", () =>
   );
 
   assert.deepEqual(result, {
-    currentLongterm: 14000,
-    currentBuffer: 3000,
+    balances: { longterm: 14000, buffer: 3000 },
     lastMonthlySavingsAddedYm: "2026-03",
-    planSeedLongterm: 14000,
-    planSeedBuffer: 3000,
+    planSeeds: { longterm: 14000, buffer: 3000 },
     shouldPersist: true,
   });
 });
 
+test("a balance save updates each account where it lives and journals the differences", () => {
+  const plan = {
+    goal: { current_longterm: 50000, current_buffer: 6000 },
+    accounts: [{ id: "pension", name: "Pension", current: 1000 }],
+  };
+
+  const { plan: next, adjustments } = applyBalanceChanges(
+    plan,
+    { longterm: 61000, buffer: 6000, pension: 1500 },
+    { previousBalances: { longterm: 60500 }, note: "bank check" }
+  );
+  assert.equal(next.goal.current_longterm, 61000);
+  assert.equal(next.accounts[0].current, 1500);
+  assert.equal(plan.goal.current_longterm, 50000);
+  assert.deepEqual(
+    adjustments.map(({ account, amount, balance_before }) => [account, amount, balance_before]),
+    [
+      ["longterm", 500, 60500],
+      ["pension", 500, 1000],
+    ]
+  );
+  assert.equal(adjustments[0].note, "bank check");
+
+  assert.deepEqual(applyBalanceChanges(plan, { travel: 1 }), { error: "Unknown account: travel" });
+});
+
 test("monthly rollover only credits completed months", () => {
   const result = rollGoalStateForward(
     {
-      currentLongterm: 14000,
-      currentBuffer: 3000,
+      balances: { longterm: 14000, buffer: 3000 },
       lastMonthlySavingsAddedYm: "2026-03",
-      planSeedLongterm: 14000,
-      planSeedBuffer: 3000,
+      planSeeds: { longterm: 14000, buffer: 3000 },
     },
     [{ name: "2026", from: "2026-01", saving_longterm: 5000, saving_buffer: 1000 }],
     new Date("2026-06-10T12:00:00Z")
@@ -72,14 +125,181 @@ test("monthly rollover only credits completed months", () => {
 
   assert.equal(result.changed, true);
   assert.deepEqual(result.state, {
-    currentLongterm: 24000,
-    currentBuffer: 5000,
+    balances: { longterm: 24000, buffer: 5000 },
     lastMonthlySavingsAddedYm: "2026-05",
-    planSeedLongterm: 14000,
-    planSeedBuffer: 3000,
+    planSeeds: { longterm: 14000, buffer: 3000 },
+  });
+});
+
+test("savings land on the stage's contribution day instead of at month close", () => {
+  const stages = [
+    { name: "Job A", from: "2026-01", to: "2026-12", contribution_day: 25, saving_longterm: 1000 },
+    { name: "Job B", from: "2027-01", contribution_day: 31, saving_longterm: 2000 },
+  ];
+  const state = {
+    balances: { longterm: 10000, buffer: 0 },
+    lastMonthlySavingsAddedYm: "2026-03",
+    planSeeds: { longterm: 10000, buffer: 0 },
+  };
+
+  const before = rollGoalStateForward(state, stages, new Date(2026, 5, 24, 12));
+  assert.equal(before.state.lastMonthlySavingsAddedYm, "2026-05");
+  assert.equal(before.state.balances.longterm, 12000);
+  const payday = rollGoalStateForward(state, stages, new Date(2026, 5, 25, 12));
+  assert.equal(payday.state.lastMonthlySavingsAddedYm, "2026-06");
+  assert.equal(payday.state.balances.longterm, 13000);
+
+  const seeded = reconcileGoalState(
+    [{ id: "longterm", current: 13000 }],
+    null,
+    new Date(2026, 5, 25, 12),
+    { stages }
+  );
+  assert.equal(seeded.lastMonthlySavingsAddedYm, "2026-06");
+
+  const next = getNextContributionDate(stages, new Date(2026, 5, 25, 12));
+  assert.equal(next.month, "2026-07");
+  assert.deepEqual(next.date, new Date(2026, 6, 25));
+  // A day past the end of a shorter month falls on its last day.
+  assert.deepEqual(
+    getNextContributionDate(stages, new Date(2027, 1, 1)).date,
+    new Date(2027, 1, 28)
+  );
+
+  const projection = projectGoalDate({
+    stages,
+    goal: { target_longterm: 15000, target_buffer: 0 },
+    currentLongterm: 13000,
+    currentBuffer: 0,
+    annualRate: 0,
+    bufferRate: 0,
+    now: new Date(2026, 5, 25, 12),
+  });
+  assert.deepEqual(projection, { reached: true, date: new Date(2026, 7, 25) });
+
+  assert.deepEqual(
+    validateStage({ name: "Bad", from: "2026-01", contribution_day: 0 }).map((e) => e.field),
+    ["contribution_day"]
+  );
+});
+
+test("the journal replays balances back to any earlier day", () => {
+  const journal = [
+    {
+      type: "rollover",
+      timestamp: "2026-08-01T07:00:00Z",
+      month: "2026-07",
+      balances: { longterm: 50000, buffer: 6000 },
+    },
+    {
+      type: "adjustment",
+      timestamp: "2026-08-20T10:00:00Z",
+      account: "buffer",
+      balance_after: 5000,
+    },
+    {
+      type: "rollover",
+      timestamp: "2026-09-01T07:00:00Z",
+      month: "2026-08",
+      balances: { longterm: 55300, buffer: 6010 },
+    },
+  ];
+
+  assert.equal(replayJournalTo(journal, new Date(2026, 6, 15)), null);
+  assert.deepEqual(replayJournalTo(journal, new Date(2026, 7, 10)), {
+    balances: { longterm: 50000, buffer: 6000 },
+    lastMonthlySavingsAddedYm: "2026-07",
+  });
+  assert.equal(replayJournalTo(journal, new Date(2026, 7, 25)).balances.buffer, 5000);
+  assert.deepEqual(replayJournalTo([...journal].reverse(), new Date(2026, 9, 1)), {
+    balances: { longterm: 55300, buffer: 6010 },
+    lastMonthlySavingsAddedYm: "2026-08",
   });
 });
 
+test("a month credited before its contribution day moved is kept, not credited again", () => {
+  // October was credited on the 25th; the stage has since dropped its contribution_day.
+  const stages = [{ name: "2026", from: "2026-01", saving_longterm: 1000 }];
+  const accounts = [{ id: "longterm", current: 12000, annualRate: 0 }];
+  const stored = {
+    balances: { longterm: 13000 },
+    last_monthly_savings_added_ym: "2026-10",
+    plan_seeds: { longterm: 12000 },
+  };
+
+  const reconciled = reconcileGoalState(accounts, stored, new Date(2026, 9, 26, 12), { stages });
+  assert.equal(reconciled.lastMonthlySavingsAddedYm, "2026-10");
+  assert.equal(reconciled.shouldPersist, false);
+
+  const november = rollGoalStateForward(reconciled, stages, new Date(2026, 10, 5), { accounts });
+  assert.deepEqual(november.months, []);
+  assert.equal(november.state.balances.longterm, 13000);
+  const december = rollGoalStateForward(reconciled, stages, new Date(2026, 11, 2), { accounts });
+  assert.deepEqual(december.months.map((month) => month.month), ["2026-11"]);
+  assert.equal(december.state.balances.longterm, 14000);
+
+  // Today is not a past day, so nothing is replayed from the journal.
+  const today = new Date(2026, 9, 26, 15);
+  assert.equal(isBeforeState(reconciled, stages, today, today), false);
+  assert.equal(isBeforeState(reconciled, stages, new Date(2026, 9, 20), today), true);
+});
+
+test("a past as-of day starts from the journal's balances, not today's", () => {
+  const stages = [{ name: "2026", from: "2026-01", saving_longterm: 5000 }];
+  const accounts = [{ id: "longterm", annualRate: 0 }];
+  const today = {
+    balances: { longterm: 70000 },
+    lastMonthlySavingsAddedYm: "2026-09",
+    planSeeds: { longterm: 70000 },
+  };
+  const journal = [
+    {
+      type: "rollover",
+      timestamp: "2026-08-01T07:00:00Z",
+      month: "2026-07",
+      balances: { longterm: 50000 },
+    },
+  ];
+
+  const options = { accounts, journal, now: new Date(2026, 9, 19) };
+
+  const past = getStateAsOf(today, stages, new Date(2026, 7, 10), options);
+  assert.deepEqual(past.balances, { longterm: 50000 });
+  assert.equal(past.lastMonthlySavingsAddedYm, "2026-07");
+  // With no rollover since July in the journal, August is rolled forward from it.
+  const later = getStateAsOf(today, stages, new Date(2026, 8, 15), options);
+  assert.deepEqual(later.balances, { longterm: 55000 });
+  assert.equal(later.lastMonthlySavingsAddedYm, "2026-08");
+  assert.equal(getStateAsOf(today, stages, new Date(2026, 6, 15), options), null);
+  assert.deepEqual(getStateAsOf(today, stages, new Date(2026, 10, 2), options).balances, {
+    longterm: 75000,
+  });
+});
+
+test("a stored state ahead of the contribution schedule is rolled forward for today", () => {
+  const stages = [{ name: "2026", from: "2026-01", saving_longterm: 1000 }];
+  const accounts = [{ id: "longterm", annualRate: 0 }];
+  const stored = {
+    balances: { longterm: 13000 },
+    lastMonthlySavingsAddedYm: "2026-10",
+    planSeeds: { longterm: 12000 },
+  };
+  const journal = [
+    {
+      type: "rollover",
+      timestamp: "2026-10-25T07:00:00Z",
+      month: "2026-10",
+      balances: { longterm: 13000 },
+    },
+  ];
+
+  // The only rollover is October's, so a replay could not reach October 19.
+  const today = new Date(2026, 9, 19, 12);
+  const state = getStateAsOf(stored, stages, today, { accounts, journal, now: today });
+  assert.deepEqual(state.balances, { longterm: 13000 });
+  assert.equal(state.lastMonthlySavingsAddedYm, "2026-10");
+});
+
 test("higher long-term growth assumptions reach the goal earlier", () => {
   const stages = [{ name: "Base", from: "2026-01", saving_longterm: 4000, saving_buffer: 1000 }];
   const goal = {
@@ -109,3 +329,574 @@ test("higher long-term growth assumptions reach the goal earlier", () => {
   assert.equal(high.reached, true);
   assert.ok(high.date.getTime() <= low.date.getTime());
 });
+
+test("monte carlo bands are reproducible for a fixed seed and ordered by percentile", () => {
+  const input = {
+    stages: [{ name: "Base", from: "2026-01", saving_longterm: 4000, saving_buffer: 1000 }],
+    goal: { target_longterm: 300000, target_buffer: 10000, target_year: 2031 },
+    currentLongterm: 20000,
+    currentBuffer: 2000,
+    expectedReturn: 0.07,
+    volatility: 0.18,
+    runs: 500,
+    seed: 7,
+    now: new Date("2026-04-09T12:00:00Z"),
+  };
+
+  const first = simulateGoalDates(input);
+  const second = simulateGoalDates(input);
+  assert.deepEqual(first, second);
+
+  const { p10, p50, p90 } = first.percentiles;
+  assert.equal(p10.reached, true);
+  assert.equal(p90.reached, true);
+  assert.ok(p10.date.getTime() <= p50.date.getTime());
+  assert.ok(p50.date.getTime() <= p90.date.getTime());
+  assert.ok(first.probabilityByTargetYear > 0 && first.probabilityByTargetYear < 1);
+});
+
+test("monte carlo without volatility matches the deterministic projection", () => {
+  const stages = [{ name: "Base", from: "2026-01", saving_longterm: 4000, saving_buffer: 1000 }];
+  const goal = { target_longterm: 100000, target_buffer: 10000, target_year: 2026 };
+  const now = new Date("2026-04-09T12:00:00Z");
+
+  const deterministic = projectGoalDate({
+    stages,
+    goal,
+    currentLongterm: 20000,
+    currentBuffer: 2000,
+    annualRate: 0.06,
+    now,
+  });
+  const simulation = simulateGoalDates({
+    stages,
+    goal,
+    currentLongterm: 20000,
+    currentBuffer: 2000,
+    expectedReturn: 0.06,
+    volatility: 0,
+    runs: 20,
+    now,
+  });
+
+  assert.equal(simulation.percentiles.p50.date.getTime(), deterministic.date.getTime());
+  assert.equal(simulation.probabilityByTargetYear, 0);
+});
+
+test("real mode deflates amounts into today's kronor", () => {
+  const now = new Date("2026-01-15T12:00:00Z");
+  const value = deflateAmount(110000, new Date("2028-01-01T00:00:00"), {
+    inflationRate: 0.1,
+    baseDate: now,
+  });
+
+  assert.ok(Math.abs(value - 110000 / 1.21) < 1e-6);
+  assert.equal(deflateAmount(5000, now, { inflationRate: 0.1, baseDate: now }), 5000);
+});
+
+test("inflation pushes a goal that lands after target_year further out", () => {
+  const input = {
+    stages: [{ name: "Base", from: "2026-01", saving_longterm: 4000, saving_buffer: 1000 }],
+    goal: { target_longterm: 400000, target_buffer: 10000, target_year: 2027 },
+    currentLongterm: 20000,
+    currentBuffer: 2000,
+    annualRate: 0.05,
+    now: new Date("2026-04-09T12:00:00Z"),
+  };
+
+  const nominal = projectGoalDate(input);
+  const real = projectGoalDate({ ...input, inflationRate: 0.03 });
+
+  assert.equal(nominal.reached, true);
+  assert.equal(real.reached, true);
+  assert.ok(real.date.getTime() > nominal.date.getTime());
+});
+
+test("monthly rollover compounds each pot at its own rate before the deposit", () => {
+  const result = rollGoalStateForward(
+    {
+      balances: { longterm: 12000, buffer: 1000 },
+      lastMonthlySavingsAddedYm: "2026-03",
+      planSeeds: { longterm: 12000, buffer: 1000 },
+    },
+    [{ name: "2026", from: "2026-01", saving_longterm: 1000, saving_buffer: 500 }],
+    new Date("2026-06-10T12:00:00Z"),
+    {
+      accounts: [
+        { id: "longterm", annualRate: 0.12 },
+        { id: "buffer", annualRate: 0.03 },
+      ],
+    }
+  );
+
+  const longMonthly = Math.pow(1.12, 1 / 12);
+  const bufferMonthly = Math.pow(1.03, 1 / 12);
+  const expectedLong = (12000 * longMonthly + 1000) * longMonthly + 1000;
+  const expectedBuffer = (1000 * bufferMonthly + 500) * bufferMonthly + 500;
+
+  assert.ok(Math.abs(result.state.balances.longterm - expectedLong) < 1e-6);
+  assert.ok(Math.abs(result.state.balances.buffer - expectedBuffer) < 1e-6);
+  assert.equal(result.state.lastMonthlySavingsAddedYm, "2026-05");
+
+  assert.deepEqual(
+    result.months.map((month) => [month.month, month.stage, month.credited.longterm]),
+    [
+      ["2026-04", "2026", 1000],
+      ["2026-05", "2026", 1000],
+    ]
+  );
+  assert.ok(Math.abs(result.months[0].growth.longterm - 12000 * (longMonthly - 1)) < 1e-6);
+  assert.ok(Math.abs(result.months[1].balances.longterm - expectedLong) < 1e-6);
+});
+
+test("buffer interest brings the buffer date forward", () => {
+  const input = {
+    stages: [{ name: "Base", from: "2026-01", saving_buffer: 500 }],
+    goal: { target_buffer: 60000 },
+    currentBuffer: 20000,
+    now: new Date("2026-04-09T12:00:00Z"),
+  };
+
+  const withoutInterest = projectBufferDate(input);
+  const withInterest = projectBufferDate({ ...input, bufferRate: 0.04 });
+
+  assert.ok(withInterest.date.getTime() < withoutInterest.date.getTime());
+});
+
+test("return assumptions fall back to defaults and validate scenario rates", () => {
+  const resolved = resolveReturnAssumptions({
+    assumptions: { returns: { buffer: 0.02, scenarios: [{ label: "Flat", longterm: 0 }] } },
+  });
+
+  assert.equal(resolved.longterm, 0.08);
+  assert.deepEqual(resolved.scenarios, [{ label: "Flat", longterm: 0, buffer: 0.02 }]);
+
+  const overridden = resolveReturnAssumptions(
+    { assumptions: { returns: { scenarios: [{ label: "Flat", longterm: 0 }] } } },
+    { longterm: 0.05, buffer: 0.5 }
+  );
+  assert.equal(overridden.longterm, 0.05);
+  assert.deepEqual(overridden.scenarios, [{ label: "Flat", longterm: 0, buffer: 0.5 }]);
+
+  const issues = validatePlan({
+    assumptions: { returns: { longterm: "8%", scenarios: [{ label: "", longterm: 2 }] } },
+    stages: [{ name: "Base", from: "2026-01" }],
+  });
+
+  assert.match(issues.join("\n"), /assumptions\.returns\.longterm/);
+  assert.match(issues.join("\n"), /Return scenario 1 is missing a label/);
+  assert.match(issues.join("\n"), /Return scenario 1 must include a longterm rate/);
+});
+
+const householdPlan = {
+  goal: {
+    target_longterm: 200000,
+    target_buffer: 20000,
+    current_longterm: 50000,
+    current_buffer: 5000,
+    target_year: 2030,
+  },
+  accounts: [
+    { id: "kids", name: "Kids' account", target: 10000, current: 2000, annual_rate: 0.05 },
+    { id: "travel", name: "Travel fund", current: 1000, include_in_goal: false },
+  ],
+  stages: [
+    {
+      name: "Base",
+      from: "2026-01",
+      saving_longterm: 4000,
+      saving_buffer: 1000,
+      savings: { kids: 500, travel: 800 },
+    },
+  ],
+};
+
+test("named accounts extend a two-pot plan without breaking it", () => {
+  assert.deepEqual(validatePlan(householdPlan), []);
+
+  const accounts = resolveAccounts(householdPlan);
+  assert.deepEqual(
+    accounts.map((account) => [account.id, account.current, account.annualRate]),
+    [
+      ["longterm", 50000, 0.08],
+      ["buffer", 5000, 0],
+      ["kids", 2000, 0.05],
+      ["travel", 1000, 0],
+    ]
+  );
+
+  const result = rollGoalStateForward(
+    reconcileGoalState(accounts, null, new Date("2026-04-08T12:00:00Z")),
+    householdPlan.stages,
+    new Date("2026-05-08T12:00:00Z"),
+    { accounts: accounts.map((account) => ({ ...account, annualRate: 0 })) }
+  );
+  assert.deepEqual(result.state.balances, {
+    longterm: 54000,
+    buffer: 6000,
+    kids: 2500,
+    travel: 1800,
+  });
+});
+
+test("the goal date waits for every account that counts toward the goal", () => {
+  const accounts = resolveAccounts(householdPlan);
+  const now = new Date("2026-04-09T12:00:00Z");
+  const stages = householdPlan.stages;
+
+  const twoPot = projectGoalDate({
+    stages,
+    goal: householdPlan.goal,
+    currentLongterm: 50000,
+    currentBuffer: 5000,
+    now,
+  });
+  const withKids = projectGoalDate({ stages, goal: householdPlan.goal, accounts, now });
+  const slowKids = projectGoalDate({
+    stages,
+    goal: householdPlan.goal,
+    accounts: accounts.map((account) =>
+      account.id === "kids" ? { ...account, target: 90000 } : account
+    ),
+    now,
+  });
+
+  assert.equal(withKids.date.getTime(), twoPot.date.getTime());
+  assert.ok(slowKids.date.getTime() > withKids.date.getTime());
+});
+
+test("plan validation rejects savings into accounts that do not exist", () => {
+  const issues = validatePlan({
+    ...householdPlan,
+    accounts: [{ id: "Pension", name: "Pension", current: 0 }],
+    stages: [{ name: "Base", from: "2026-01", savings: { pension: 100 } }],
+  });
+
+  assert.match(issues.join("\n"), /Account 1 needs an id/);
+  assert.match(issues.join("\n"), /unknown account "pension"/);
+});
+
+test("one-off events land in the rollover and pull the goal date forward", () => {
+  const stages = [{ name: "Base", from: "2026-01", saving_longterm: 1000, saving_buffer: 500 }];
+  const events = [
+    { month: "2026-04", account: "longterm", amount: 40000, label: "Bonus" },
+    { month: "2026-05", account: "buffer", amount: -2000, label: "Repairs" },
+    { month: "2026-06", account: "longterm", amount: 10000 },
+  ];
+
+  const result = rollGoalStateForward(
+    {
+      balances: { longterm: 10000, buffer: 5000 },
+      lastMonthlySavingsAddedYm: "2026-03",
+      planSeeds: { longterm: 10000, buffer: 5000 },
+    },
+    stages,
+    new Date("2026-06-10T12:00:00Z"),
+    { events }
+  );
+  assert.deepEqual(result.state.balances, { longterm: 52000, buffer: 4000 });
+
+  const input = {
+    stages,
+    goal: { target_longterm: 200000, target_buffer: 10000 },
+    currentLongterm: 10000,
+    currentBuffer: 5000,
+    now: new Date("2026-04-09T12:00:00Z"),
+  };
+  const withoutEvents = projectGoalDate(input);
+  const withEvents = projectGoalDate({ ...input, events });
+  assert.ok(withEvents.date.getTime() < withoutEvents.date.getTime());
+
+  const issues = validatePlan({
+    stages,
+    events: [{ month: "2026-13", account: "boat", amount: 0 }],
+  });
+  assert.match(issues.join("\n"), /Event 1 must include a valid month/);
+  assert.match(issues.join("\n"), /Event 1 must name an existing account/);
+  assert.match(issues.join("\n"), /Event 1 must have a non-zero amount/);
+});
+
+test("stage growth indexes amounts once a year from the stage start", () => {
+  const stages = [
+    {
+      name: "Dual-income",
+      from: "2028-02",
+      income: 50000,
+      fixed_costs: 10000,
+      saving_longterm: 5000,
+      savings: { kids: 1000 },
+      growth: {
+        income: { rate: 0.03, month: 4 },
+        fixed_costs: 0.02,
+        savings: { rate: 0.1, month: 4 },
+      },
+    },
+  ];
+
+  const start = findStageForYearMonth(stages, "2028-03");
+  assert.equal(start.income, 50000);
+  assert.equal(start.saving_longterm, 5000);
+
+  const firstRaise = findStageForYearMonth(stages, "2028-04");
+  assert.equal(firstRaise.income, 51500);
+  assert.equal(firstRaise.fixed_costs, 10000);
+  assert.ok(Math.abs(firstRaise.saving_longterm - 5500) < 1e-9);
+  assert.ok(Math.abs(firstRaise.savings.kids - 1100) < 1e-9);
+
+  const later = findStageForYearMonth(stages, "2030-01");
+  assert.ok(Math.abs(later.income - 50000 * 1.03 ** 2) < 1e-9);
+  assert.ok(Math.abs(later.fixed_costs - 10000 * 1.02 ** 2) < 1e-9);
+
+  const result = rollGoalStateForward(
+    {
+      balances: { longterm: 0 },
+      lastMonthlySavingsAddedYm: "2028-02",
+      planSeeds: { longterm: 0 },
+    },
+    stages,
+    new Date("2028-05-10T12:00:00Z"),
+    { accounts: [{ id: "longterm", annualRate: 0 }] }
+  );
+  assert.ok(Math.abs(result.state.balances.longterm - 10500) < 1e-9);
+
+  const issues = validatePlan({
+    stages: [
+      {
+        name: "Base",
+        from: "2026-01",
+        growth: { rent: 0.02, income: { rate: 0.03, month: 13 } },
+      },
+    ],
+  });
+  assert.match(issues.join("\n"), /unknown field "rent"/);
+  assert.match(issues.join("\n"), /growth for income must use a month from 1 to 12/);
+});
+
+test("the required-savings solver closes the gap to target_year", () => {
+  const stages = [{ name: "Base", from: "2026-01", saving_longterm: 2000 }];
+  const goal = { target_longterm: 300000, target_year: 2030 };
+  const now = new Date("2026-04-09T12:00:00Z");
+  const input = { stages, goal, annualRate: 0.05, currentLongterm: 50000, now };
+
+  const solution = solveRequiredSavings(input);
+  assert.equal(solution.months, 57);
+  assert.ok(solution.shortfall > 0);
+  assert.ok(solution.extraMonthlySaving > 0);
+
+  const topUp = solution.extraMonthlySaving;
+  const withExtra = projectGoalDate({
+    stages: [{ ...stages[0], saving_longterm: 2000 + topUp + 1e-6 }],
+    goal: { ...goal, target_buffer: 0 },
+    annualRate: 0.05,
+    currentLongterm: 50000,
+    currentBuffer: 0,
+    now,
+  });
+  assert.equal(withExtra.date.getTime(), new Date(2031, 0, 1).getTime());
+
+  const atRequiredRate = solveRequiredSavings({
+    ...input,
+    annualRate: solution.requiredAnnualRate + 1e-6,
+  });
+  assert.equal(atRequiredRate.extraMonthlySaving, 0);
+  assert.ok(solution.requiredAnnualRate > 0.05);
+
+  assert.equal(solveRequiredSavings({ ...input, currentLongterm: 400000 }).extraMonthlySaving, 0);
+  assert.equal(solveRequiredSavings({ ...input, goal: { target_longterm: 300000 } }), null);
+});
+
+test("the retirement phase draws the balance down after saving stops", () => {
+  const stages = [{ name: "Base", from: "2026-01", saving_longterm: 1000 }];
+  const account = { id: "longterm", annualRate: 0 };
+  const now = new Date("2026-04-09T12:00:00Z");
+
+  const fixed = simulateDecumulation({
+    stages,
+    retirement: { from: "2027-01", monthly_draw: 5000 },
+    account,
+    balance: 51000,
+    now,
+  });
+  // April to December still save 1 000 a month, then 60 000 lasts exactly a year.
+  assert.equal(fixed.startBalance, 60000);
+  assert.equal(fixed.sustainableMonthlyDraw, 0);
+  assert.equal(fixed.monthsLasting, 12);
+  assert.equal(fixed.depletedAt.getTime(), new Date(2028, 0, 1).getTime());
+
+  const growing = simulateDecumulation({
+    stages,
+    retirement: { from: "2027-01", withdrawal_rate: 0.04, annual_return: 0.06 },
+    account,
+    balance: 51000,
+    now,
+  });
+  assert.equal(growing.monthlyDraw, 200);
+  assert.ok(growing.sustainableMonthlyDraw > growing.monthlyDraw);
+  assert.equal(growing.monthsLasting, null);
+
+  const issues = validatePlan({
+    stages,
+    retirement: { from: "2027-01", withdrawal_rate: 0.04, monthly_draw: 5000, account: "boat" },
+  });
+  assert.match(issues.join("\n"), /either withdrawal_rate or monthly_draw/);
+  assert.match(issues.join("\n"), /retirement\.account must name an existing account/);
+});
+
+test("the variance report compares check-ins with the planned change and implied return", () => {
+  const stages = [{ name: "Base", from: "2026-01", saving_longterm: 1000 }];
+  const accounts = [{ id: "longterm", name: "Long-term", annualRate: 0.12 }];
+  const monthly = Math.pow(1.12, 1 / 12);
+  const onPlan = (10000 * monthly + 1000) * monthly + 1000;
+
+  const report = buildVarianceReport({
+    stages,
+    accounts,
+    checkins: [
+      { month: "2026-03", balances: { longterm: 10000 } },
+      { month: "2026-04", balances: { longterm: 11000 } },
+      { month: "2026-05", balances: { longterm: 99999 } },
+      { month: "2026-05", balances: { longterm: onPlan - 100 } },
+    ],
+  });
+
+  assert.deepEqual(
+    report.rows.map((row) => row.month),
+    ["2026-04", "2026-05"]
+  );
+
+  const flat = report.rows[0].accounts.longterm;
+  assert.equal(flat.plannedSavings, 1000);
+  assert.equal(flat.actualGrowth, 0);
+  assert.ok(Math.abs(flat.impliedAnnualReturn) < 1e-6);
+
+  const summary = report.summary.accounts.longterm;
+  assert.equal(report.summary.months, 2);
+  assert.ok(Math.abs(summary.predicted - onPlan) < 1e-6);
+  assert.ok(Math.abs(summary.variance + 100) < 1e-6);
+  assert.ok(summary.impliedAnnualReturn > 0 && summary.impliedAnnualReturn < 0.12);
+});
+
+test("the projection series records every month up to a year past the goal", () => {
+  const input = {
+    stages: [{ name: "Base", from: "2026-01", saving_longterm: 1000, saving_buffer: 500 }],
+    goal: { target_longterm: 20000, target_buffer: 3000 },
+    currentLongterm: 10000,
+    currentBuffer: 1000,
+    annualRate: 0.12,
+    bufferRate: 0,
+    now: new Date("2026-04-09T12:00:00Z"),
+  };
+
+  const series = projectBalanceSeries(input);
+  const projection = projectGoalDate(input);
+  const last = series.points[series.points.length - 1];
+
+  assert.equal(series.goalDate.getTime(), projection.date.getTime());
+  assert.equal(series.points[0].balances.longterm, 10000);
+  assert.equal(series.points[1].month, "2026-04");
+  assert.equal(series.points[1].credited.buffer, 500);
+  assert.ok(
+    Math.abs(series.points[1].growth.longterm - 10000 * (Math.pow(1.12, 1 / 12) - 1)) < 1e-6
+  );
+  assert.equal(last.date.getTime(), new Date(2026, 3 + series.points.length - 1, 1).getTime());
+  assert.equal(
+    series.points.findIndex((point) => point.date === series.goalDate) + 12,
+    series.points.length - 1
+  );
+
+  assert.equal(projectBalanceSeries({ ...input, months: 3 }).points.length, 4);
+});
+
+test("the schedule stops at the goal month and exports sv-SE CSV", () => {
+  const input = {
+    stages: [
+      { name: "Base, year one", from: "2026-01", net_income: 30000.5, saving_longterm: 1000 },
+    ],
+    goal: { target_longterm: 13000, target_buffer: 0 },
+    currentLongterm: 10000,
+    currentBuffer: 0,
+    annualRate: 0,
+    bufferRate: 0,
+    now: new Date("2026-04-09T12:00:00Z"),
+  };
+
+  const schedule = buildProjectionSchedule(input);
+  assert.deepEqual(
+    schedule.rows.map((row) => [row.month, row.balances.longterm]),
+    [
+      ["2026-04", 11000],
+      ["2026-05", 12000],
+      ["2026-06", 13000],
+    ]
+  );
+  assert.equal(buildProjectionSchedule({ ...input, from: "2026-05" }).rows.length, 2);
+
+  const csv = formatScheduleCsv(schedule, { locale: "sv-SE" }).split("\r\n");
+  assert.equal(
+    csv[0],
+    "month;stage;net_income;fixed_costs;household;contribution_longterm;contribution_buffer;" +
+      "growth_longterm;growth_buffer;balance_longterm;balance_buffer"
+  );
+  assert.equal(csv[1], '2026-04;Base, year one;30000,50;;;1000,00;0,00;0,00;0,00;11000,00;0,00');
+  assert.match(formatScheduleCsv(schedule).split("\r\n")[1], /^2026-04,"Base, year one",30000.50,/);
+});
+
+test("calendar-year sums take each month from the stage that applies", () => {
+  const stages = [
+    {
+      name: "2025 to august",
+      from: "2025-01",
+      to: "2025-08",
+      net_income: 30000,
+      fixed_costs: 10000,
+      household: 5000,
+      saving_longterm: 4000,
+    },
+    {
+      name: "2025 new job",
+      from: "2025-09",
+      to: "2026-03",
+      net_income: 36000,
+      fixed_costs: 12000,
+      household: 5000,
+      saving_longterm: 6000,
+      growth: { net_income: { rate: 0.5, month: 11 } },
+    },
+  ];
+  const accounts = [{ id: "longterm" }, { id: "buffer" }];
+
+  const year = sumStageMonths({ stages, accounts, from: "2025-01" });
+  assert.equal(year.to, "2025-12");
+  assert.equal(year.totals.netIncome, 8 * 30000 + 2 * 36000 + 2 * 54000);
+  assert.equal(year.totals.fixedCosts, 8 * 10000 + 4 * 12000);
+  assert.equal(year.totals.leftover, 8 * 11000 + 2 * 13000 + 2 * 31000);
+  assert.equal(year.totals.incomePreTax, null);
+  assert.deepEqual(year.savings, { longterm: 8 * 4000 + 4 * 6000, buffer: null });
+  assert.deepEqual(
+    year.stages.map((item) => [item.stage.name, item.months.length]),
+    [
+      ["2025 to august", 8],
+      ["2025 new job", 4],
+    ]
+  );
+  assert.deepEqual(year.gaps, []);
+
+  const taxCore = {
+    calculateMonthlyTax: ({ grossMonthly }) => ({
+      netIncome: grossMonthly * 0.75,
+      municipalTax: grossMonthly * 0.25,
+      stateTax: 0,
+      earnedIncomeCredit: 0,
+    }),
+  };
+  const rolling = sumStageMonths({
+    stages: [{ name: "Gross only", from: "2026-01", to: "2026-03", income: 40000 }],
+    accounts,
+    from: "2026-02",
+    months: 4,
+    taxCore,
+  });
+  assert.equal(rolling.totals.netIncome, 4 * 30000);
+  assert.equal(rolling.totals.tax, 4 * 10000);
+  assert.deepEqual(rolling.gaps, ["2026-04", "2026-05"]);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseAmount,
+  parseTransactions,
+  summarizeMonthlyActuals,
+} = require("../public/import-core.js");
+
+test("amounts read sv-SE decimal commas, grouping spaces and a currency suffix", () => {
+  assert.equal(parseAmount("-1 234,50 kr"), -1234.5);
+  assert.equal(parseAmount("−12,00"), -12);
+  assert.equal(parseAmount("1.234,5"), 1234.5);
+  assert.equal(parseAmount("-1,234.50", "."), -1234.5);
+  assert.equal(parseAmount("abc"), null);
+});
+
+test("bank exports skip title lines, honour quotes and report unreadable rows", () => {
+  const csv = [
+    "Kontoutdrag 2026-09-01 - 2026-09-30",
+    "Bokföringsdatum;Valutadatum;Verifikationsnummer;Text;Belopp;Saldo",
+    '2026-09-25;2026-09-25;1;"LÖN; SEPTEMBER";38 500,00;40 000,00',
+    "2026-09-27;2026-09-27;2;ICA MAXI;-1 249,90;38 750,10",
+    "2026-09-31x;2026-09-28;3;BROKEN;-10,00;38 740,10",
+  ].join("\r\n");
+
+  const { transactions, errors } = parseTransactions(csv, { bank: "seb" });
+  assert.deepEqual(transactions, [
+    { date: "2026-09-25", month: "2026-09", description: "LÖN; SEPTEMBER", amount: 38500 },
+    { date: "2026-09-27", month: "2026-09", description: "ICA MAXI", amount: -1249.9 },
+  ]);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, 5);
+
+  const custom = parseTransactions("Day,What,Sum\n20261001,Rent,\"-9,500.00\"", {
+    mapping: { date: "Day", description: "What", amount: "Sum", decimal: "." },
+  });
+  assert.equal(custom.transactions[0].amount, -9500);
+});
+
+test("monthly actuals apply the first matching rule and report money out as positive", () => {
+  const rules = [
+    { match: "^ica|coop", category: "household" },
+    { match: "hyra|el ", category: "fixed_costs" },
+    { match: "lön", category: "income" },
+    { match: "överföring", category: "ignore" },
+  ];
+  const transactions = [
+    { month: "2026-09", description: "LÖN", amount: 38500 },
+    { month: "2026-09", description: "ICA Nära", amount: -800 },
+    { month: "2026-09", description: "Coop", amount: -200 },
+    { month: "2026-09", description: "Hyra", amount: -9500 },
+    { month: "2026-09", description: "Överföring sparkonto", amount: -5000 },
+    { month: "2026-10", description: "Okänd", amount: -50 },
+  ];
+
+  assert.deepEqual(summarizeMonthlyActuals(transactions, rules), [
+    {
+      month: "2026-09",
+      income: 38500,
+      fixed_costs: 9500,
+      household: 1000,
+      savings: 0,
+      uncategorized: 0,
+      count: 4,
+    },
+    {
+      month: "2026-10",
+      income: 0,
+      fixed_costs: 0,
+      household: 0,
+      savings: 0,
+      uncategorized: 50,
+      count: 1,
+    },
+  ]);
+});
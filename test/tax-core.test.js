@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calculateAnnualTax, calculateMonthlyTax, getTaxTable } = require("../public/tax-core.js");
+
+test("tax tables fall back to the closest known year", () => {
+  assert.equal(getTaxTable(2025).priceBaseAmount, 58800);
+  assert.equal(getTaxTable(2031).year, 2025);
+  assert.equal(getTaxTable(2010).year, 2023);
+});
+
+test("annual tax combines municipal tax, state tax and jobbskatteavdrag", () => {
+  const result = calculateAnnualTax({ grossIncome: 480000, year: 2025, municipalRate: 0.3 });
+
+  // 480 000 is above 7.88 PBB, so the basic deduction bottoms out at 0.293 PBB.
+  assert.equal(result.basicDeduction, 17300);
+  assert.equal(result.taxableIncome, 462700);
+  assert.equal(result.municipalTax, 462700 * 0.3);
+  assert.equal(result.stateTax, 0);
+  assert.ok(Math.abs(result.earnedIncomeCredit - (3.027 * 58800 - 17300) * 0.3) < 1e-6);
+  assert.ok(
+    Math.abs(result.netIncome - (480000 - result.municipalTax + result.earnedIncomeCredit)) < 1e-6
+  );
+
+  const high = calculateAnnualTax({ grossIncome: 960000, year: 2025, municipalRate: 0.3 });
+  assert.equal(high.stateTax, (960000 - 17300 - 625800) * 0.2);
+});
+
+test("monthly tax spreads the annual result and defaults to the average municipal rate", () => {
+  const monthly = calculateMonthlyTax({ grossMonthly: 40000, year: 2024 });
+  const annual = calculateAnnualTax({ grossIncome: 480000, year: 2024 });
+
+  assert.equal(monthly.municipalRate, getTaxTable(2024).averageMunicipalRate);
+  assert.ok(Math.abs(monthly.netIncome * 12 - annual.netIncome) < 1e-6);
+  assert.ok(monthly.netIncome > 30000 && monthly.netIncome < 34000);
+  assert.equal(calculateMonthlyTax({ year: 2024 }), null);
+});